@@ -0,0 +1,41 @@
+// Runs the search optimality regression (src/utils/optimality.js) under Node
+// for every algorithm with a strict mode on every terrain, loading the source
+// through Vite so its extensionless imports resolve. Exits non-zero if any
+// strict search came back suboptimal.
+//   npm run test:optimality
+
+import { createServer } from 'vite';
+
+const STRICT_ALGORITHMS = ['astar', 'bidirectional'];
+
+// Only plain modules are loaded, so no app config and no dependency scan.
+const server = await createServer({
+  configFile: false,
+  optimizeDeps: { noDiscovery: true },
+  server: { middlewareMode: true },
+  appType: 'custom',
+  logLevel: 'error',
+});
+
+let failed = false;
+try {
+  const { runOptimalityRegression } = await server.ssrLoadModule('/src/utils/optimality.js');
+  const { TERRAIN_GENERATORS } = await server.ssrLoadModule('/src/utils/terrain.js');
+
+  for (const algorithm of STRICT_ALGORITHMS) {
+    for (const terrain of Object.keys(TERRAIN_GENERATORS)) {
+      const { cases, passed, failures, fast } = runOptimalityRegression({ algorithm, terrain });
+      const fastRate = (fast.suboptimalRate * 100).toFixed(1);
+      console.log(
+        `${passed ? 'ok  ' : 'FAIL'} ${algorithm} on ${terrain}: ${cases} cases, ` +
+          `${failures.length} strict failures, fast mode suboptimal in ${fastRate}%`
+      );
+      for (const failure of failures) console.log('     ', JSON.stringify(failure));
+      if (!passed) failed = true;
+    }
+  }
+} finally {
+  await server.close();
+}
+
+if (failed) process.exitCode = 1;
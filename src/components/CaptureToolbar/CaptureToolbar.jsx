@@ -0,0 +1,71 @@
+import React, { useRef, useState } from 'react';
+import './CaptureToolbar.css';
+
+// Capture tools for the home canvas (see useSceneCapture): a hi-res PNG, a
+// WebM of the next full cycle and the scene as JSON, plus loading a saved
+// scene file back. A file that can't be read or played is reported inline.
+// Stills and recordings need the live 3D canvas; without it (`live` false)
+// only the scene file tools work.
+export default function CaptureToolbar({
+  live = true,
+  onSavePng,
+  recording,
+  canRecord,
+  onRecord,
+  onStopRecording,
+  onExport,
+  onImport,
+}) {
+  const fileInputRef = useRef(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      onImport(JSON.parse(await file.text()));
+      setError(null);
+    } catch (err) {
+      setError(err instanceof SyntaxError ? 'Not a JSON file' : err.message);
+    }
+  };
+
+  return (
+    <div className="capture-toolbar" role="toolbar" aria-label="Capture">
+      <button type="button" onClick={onSavePng} disabled={!live} title="Save a high-resolution PNG">
+        PNG
+      </button>
+      <button
+        type="button"
+        className={recording ? 'active' : ''}
+        onClick={recording ? onStopRecording : onRecord}
+        disabled={!canRecord || (!live && !recording)}
+        aria-pressed={recording}
+        title={canRecord ? 'Record the next full cycle as WebM' : 'Recording is not supported in this browser'}
+      >
+        {recording ? '● Stop' : 'Record'}
+      </button>
+      <button type="button" onClick={onExport} title="Save weights, endpoints and path as JSON">
+        Export
+      </button>
+      <button type="button" onClick={() => fileInputRef.current?.click()} title="Load a saved scene file">
+        Import
+      </button>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="application/json,.json"
+        className="capture-toolbar-file"
+        onChange={handleFile}
+        tabIndex={-1}
+        aria-hidden="true"
+      />
+      {error && (
+        <span className="capture-toolbar-error" role="alert">
+          {error}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React, { useState, useEffect } from 'react'
 import { FaTwitter } from 'react-icons/fa'
+import { findDominantColor } from '../../utils/dominantColor'
 import "./Card.css";
 
 export default function Card({name, image, website, twitter, stage}) {
@@ -8,50 +9,12 @@ export default function Card({name, image, website, twitter, stage}) {
 
 
   useEffect(() => {
-    if (image) {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        
-        ctx.drawImage(img, 0, 0);
-        
-        // Sample pixels and find dominant color
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = imageData.data;
-        const colorCounts = {};
-        
-        // Sample every 10th pixel for performance
-        for (let i = 0; i < pixels.length; i += 40) {
-          const r = pixels[i];
-          const g = pixels[i + 1];
-          const b = pixels[i + 2];
-          
-          // Skip very dark or very light pixels
-          const brightness = (r + g + b) / 3;
-          if (brightness > 50 && brightness < 200) {
-            const color = `${r},${g},${b}`;
-            colorCounts[color] = (colorCounts[color] || 0) + 1;
-          }
-        }
-        
-        // Find most common color
-        let dominantColorRgb = '255,255,255';
-        let maxCount = 0;
-        for (const color in colorCounts) {
-          if (colorCounts[color] > maxCount) {
-            maxCount = colorCounts[color];
-            dominantColorRgb = color;
-          }
-        }
-        
-        setDominantColor(`rgba(${dominantColorRgb}, 0.6)`);
-      };
-      img.src = image;
-    }
+    if (!image) return;
+    let cancelled = false;
+    findDominantColor(image).then((rgb) => {
+      if (rgb && !cancelled) setDominantColor(`rgba(${rgb}, 0.6)`);
+    });
+    return () => { cancelled = true; };
   }, [image]);
 
   const handleMouseEnter = () => {
@@ -0,0 +1,31 @@
+import React from 'react';
+import { EDIT_TOOLS } from '../../utils/gridEditing';
+import './EditToolbar.css';
+
+// Edit-mode toggle plus the tool palette shown while editing. Stop tools
+// place on click or tap; brush tools paint while dragging.
+export default function EditToolbar({ editMode, onEditModeChange, tool, onToolChange }) {
+  return (
+    <div className="edit-toolbar" role="toolbar" aria-label="Grid editing">
+      <button
+        type="button"
+        className={`edit-toolbar-toggle ${editMode ? 'active' : ''}`}
+        aria-pressed={editMode}
+        onClick={() => onEditModeChange(!editMode)}
+      >
+        {editMode ? 'Done' : 'Edit'}
+      </button>
+      {editMode && Object.entries(EDIT_TOOLS).map(([key, { label }]) => (
+        <button
+          key={key}
+          type="button"
+          className={`edit-toolbar-tool edit-toolbar-tool-${key} ${tool === key ? 'active' : ''}`}
+          aria-pressed={tool === key}
+          onClick={() => onToolChange(key)}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
@@ -1,13 +1,31 @@
-import React, { useRef, useMemo, useLayoutEffect, useEffect } from 'react';
+import React, { useRef, useMemo, useLayoutEffect, useEffect, useCallback } from 'react';
 import * as THREE from 'three';
+import { useFrame, useThree } from '@react-three/fiber';
 import { Line } from '@react-three/drei';
 import { coordToKey } from '../utils/dijkstra';
+import { topologyOf } from '../utils/topology';
+import { overlayColor } from '../utils/costOverlay';
+import { AGENT_STYLES } from './agentStyles';
+import {
+  DEFAULT_TRAIL_GLOW,
+  TORCH_Z,
+  createGlowUniforms,
+  glowTracks,
+  injectTrailGlow,
+  torchIntensity,
+  writeTrailGlow,
+} from './trailGlow';
+import { groundHeight } from './groundHeight';
 
 const SKIP = 2;
 const WEIGHT_MIN = 0.1;
 const WEIGHT_MAX = 25.0;
 const SIZE_MIN = 0.4;
 const SIZE_MAX = 2.5;
+const WALL_FOOTPRINT = SKIP;   // walls fill their cell so runs read as solid barriers
+const WALL_HEIGHT = 0.8;
+const COLUMN_FOOTPRINT = SKIP * 0.9;   // columns nearly fill their cell so slopes read as terrain
+const COLUMN_LINE_LIFT = 0.3;          // route line clearance over the column tops
 
 const sizeForWeight = (weight) => {
   const normalized = Math.max(0, Math.min(1, (weight - WEIGHT_MIN) / (WEIGHT_MAX - WEIGHT_MIN)));
@@ -26,6 +44,11 @@ const COLOR_START = new THREE.Color('#00ff00');
 const COLOR_END = new THREE.Color('#ff0000');
 const COLOR_CURRENT = new THREE.Color('#ffffff');
 const COLOR_PATH = new THREE.Color('#e8f4ff');
+const COLOR_VISITED = new THREE.Color('#4a5d80');
+const COLOR_FRONTIER = new THREE.Color('#ffb347');
+const COLOR_WALL = new THREE.Color('#27324a');
+const COLOR_WAYPOINT = new THREE.Color('#ffd54a');
+const COLOR_REPLANNED = new THREE.Color('#ff5cf0');
 
 // Per-instance emissive HDR values (>1.0 is fine, bloom catches them).
 // Format: [r, g, b].
@@ -33,31 +56,86 @@ const EMISSIVE_START = [0.0, 2.4, 0.0];
 const EMISSIVE_END = [2.4, 0.0, 0.0];
 const EMISSIVE_CURRENT = [4.0, 4.0, 4.0];
 const EMISSIVE_PATH = [2.2, 2.5, 3.1];
+const EMISSIVE_VISITED = [0.08, 0.12, 0.25];
+const EMISSIVE_FRONTIER = [1.6, 0.9, 0.2];
+const EMISSIVE_WAYPOINT = [2.4, 1.8, 0.3];
+const EMISSIVE_REPLANNED = [2.2, 0.4, 2.0];
+const AGENT_COLORS = AGENT_STYLES.map(({ color }) => new THREE.Color(color));
 
+const CURVE_SAMPLES_PER_POINT = 12;    // Catmull-Rom samples per smoothed corner
+const OVERLAY_GLOW = 0.25;             // overlay emissive as a share of its colour, so it reads in the dark
+
+// Cells sit at their topology's layout positions (see topology.js), SKIP
+// world units per layout unit, centred on `position`. On boards with heights
+// every cell is a column up to its ground (see groundHeight) and the route
+// line, torches and trail glow follow the column tops; the weight then only
+// shows in the greyscale.
+//
+// With onCellPointerDown / onCellDrag set, pointer and touch input on the
+// grid reports cell keys: a press calls onCellPointerDown(key), moving while
+// pressed calls onCellDrag(key, previousKey) for each new cell. Cubes are hit
+// by instance raycasting; a transparent plane under the grid catches presses
+// that miss the smaller cubes.
+//
+// Further agents (animationState.agents after the lead) are drawn in their
+// AGENT_STYLES colours, each with its own line. When animationState.shape is
+// set the lead's line follows its smoothed points instead of the grid steps,
+// as straight segments or, for the 'curve' style, a centripetal Catmull-Rom
+// spline through them.
+//
+// `overlay` (from computeCostOverlay) recolours every cell it has a value
+// for with the overlay colormap, in place of the weight greyscale, and gives
+// it a faint glow; search and route highlights still draw on top.
+//
+// With trailGlow 'shader' the cubes light themselves around each head and
+// along the trails (see trailGlow.js); with 'lights' that is left to
+// SceneLighting's point lights. reducedMotion holds the glow steady.
 const GraphVisualization = ({
   position,
   startPoint,
   endPoint,
+  waypoints,
   pathKeys,
   graphData,
   animationState,
   isAnimating,
   path,
+  overlay,
+  trailGlow = DEFAULT_TRAIL_GLOW,
+  reducedMotion = false,
+  onCellPointerDown,
+  onCellDrag,
 }) => {
   const meshRef = useRef();
+  const litAtRef = useRef(new Map());   // trail key -> glow clock time it lit
+  const glowWrittenRef = useRef(null);  // { trail, cellCentre, heights, owners } of the last trail glow pass
+  const clock = useThree((state) => state.clock);
   const prevHighlightsRef = useRef(new Set());
+  const dragKeyRef = useRef(-1);   // last cell of the active drag, -1 when not pressed
   const dummy = useMemo(() => new THREE.Object3D(), []);
   const tmpColor = useMemo(() => new THREE.Color(), []);
 
-  const { nodes, gridWidth, gridHeight } = graphData;
-  const halfW = ((gridWidth - 1) * SKIP) / 2;
-  const halfH = ((gridHeight - 1) * SKIP) / 2;
+  const { nodes, weights, heights, gridWidth, gridHeight } = graphData;
+  const board = topologyOf(graphData.topology);
+  const [extentW, extentH] = board.extent(gridWidth, gridHeight);
+  const halfW = (extentW * SKIP) / 2;
+  const halfH = (extentH * SKIP) / 2;
+  const rowSpacing = board.position(0, 1)[1];   // walls shrink to their row so they don't overlap
   const count = nodes.size;
 
+  // World x/y of the centre of cell (x, y).
+  const cellCentre = useCallback((x, y) => {
+    const [px, py] = board.position(x, y);
+    return [px * SKIP - halfW + position[0], py * SKIP - halfH + position[1]];
+  }, [board, halfW, halfH, position]);
+
   // Owned geometry so we can attach a per-instance emissive attribute to it.
   const geometry = useMemo(() => new THREE.BoxGeometry(1, 1, 1), []);
 
-  // Material with per-instance emissive injected via onBeforeCompile.
+  const glowUniforms = useMemo(createGlowUniforms, []);
+
+  // Material with per-instance emissive and the trail glow injected via
+  // onBeforeCompile.
   const material = useMemo(() => {
     const mat = new THREE.MeshStandardMaterial({
       vertexColors: true,
@@ -87,49 +165,86 @@ const GraphVisualization = ({
           'vec3 totalEmissiveRadiance = emissive;',
           'vec3 totalEmissiveRadiance = emissive + vInstanceEmissive;'
         );
+      injectTrailGlow(shader, glowUniforms);
     };
     return mat;
-  }, []);
+  }, [glowUniforms]);
 
   // Pre-compute static per-node data once per graph regen.
-  const { keyToIndex, baseColors } = useMemo(() => {
+  const { keyToIndex, indexToKey } = useMemo(() => {
     const k2i = new Map();
-    const base = new Float32Array(count * 3);
+    const i2k = new Int32Array(count);
     let i = 0;
-    for (const [key, node] of nodes.entries()) {
-      const { grayLinear } = sizeForWeight(node.weight);
+    for (const key of nodes.keys()) {
       k2i.set(key, i);
-      base[i * 3] = grayLinear;
-      base[i * 3 + 1] = grayLinear;
-      base[i * 3 + 2] = grayLinear;
+      i2k[i] = key;
       i++;
     }
-    return { keyToIndex: k2i, baseColors: base };
+    return { keyToIndex: k2i, indexToKey: i2k };
   }, [nodes, count]);
 
-  // (Re)attach per-instance emissive attribute whenever node count changes.
-  useEffect(() => {
-    const attr = new THREE.InstancedBufferAttribute(new Float32Array(count * 3), 3);
-    attr.setUsage(THREE.DynamicDrawUsage);
-    geometry.setAttribute('instanceEmissive', attr);
+  // Resting colour and emissive per instance: the weight greyscale, or the
+  // overlay's colormap where it has a value.
+  const { baseColors, baseEmissive } = useMemo(() => {
+    const base = new Float32Array(count * 3);
+    const glow = new Float32Array(count * 3);
+    const color = new THREE.Color();
+    let i = 0;
+    for (const [key, node] of nodes.entries()) {
+      const value = overlay?.values[key];
+      if (node.wall) {
+        color.copy(COLOR_WALL);
+      } else if (value >= 0) {
+        color.setRGB(...overlayColor(value), THREE.SRGBColorSpace);
+        glow[i * 3] = color.r * OVERLAY_GLOW;
+        glow[i * 3 + 1] = color.g * OVERLAY_GLOW;
+        glow[i * 3 + 2] = color.b * OVERLAY_GLOW;
+      } else {
+        const { grayLinear } = sizeForWeight(weights[key]);
+        color.setRGB(grayLinear, grayLinear, grayLinear);
+      }
+      base[i * 3] = color.r;
+      base[i * 3 + 1] = color.g;
+      base[i * 3 + 2] = color.b;
+      i++;
+    }
+    return { baseColors: base, baseEmissive: glow };
+  }, [nodes, weights, count, overlay]);
+
+  // (Re)attach the per-instance emissive and trail attributes whenever node
+  // count changes. Trails start dark (time lit -1). A layout effect declared
+  // before the layout pass, so that pass always writes into attributes sized
+  // for the current count.
+  useLayoutEffect(() => {
+    const attributes = [
+      ['instanceEmissive', new Float32Array(count * 3), 3],
+      ['instanceTrail', new Float32Array(count * 3).fill(-1), 3],
+      ['instanceTrailSource', new Float32Array(count * 3), 3],
+    ];
+    for (const [name, array, itemSize] of attributes) {
+      const attr = new THREE.InstancedBufferAttribute(array, itemSize);
+      attr.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, attr);
+    }
     return () => {
-      geometry.deleteAttribute('instanceEmissive');
+      for (const [name] of attributes) geometry.deleteAttribute(name);
     };
   }, [count, geometry]);
 
-  // Layout pass: matrices + base colors + zero emissive. Runs on graph regen.
+  // Layout pass: matrices + base colors + base emissive. Runs on graph regen
+  // and overlay changes.
   useLayoutEffect(() => {
     const mesh = meshRef.current;
     if (!mesh) return;
     let i = 0;
-    for (const node of nodes.values()) {
+    for (const [key, node] of nodes.entries()) {
       const { size } = sizeForWeight(node.weight);
-      dummy.position.set(
-        node.x * SKIP - halfW + position[0],
-        node.y * SKIP - halfH + position[1],
-        position[2] + size / 2
-      );
-      dummy.scale.set(size, size, size);
+      const top = node.wall ? WALL_HEIGHT : heights ? 0 : size;
+      const depth = groundHeight(heights, key) + top;
+      dummy.position.set(...cellCentre(node.x, node.y), position[2] + depth / 2);
+      if (node.wall) dummy.scale.set(WALL_FOOTPRINT, WALL_FOOTPRINT * rowSpacing, depth);
+      else if (heights) dummy.scale.set(COLUMN_FOOTPRINT, COLUMN_FOOTPRINT * rowSpacing, depth);
+      else dummy.scale.set(size, size, size);
       dummy.updateMatrix();
       mesh.setMatrixAt(i, dummy.matrix);
       tmpColor.setRGB(baseColors[i * 3], baseColors[i * 3 + 1], baseColors[i * 3 + 2]);
@@ -138,14 +253,15 @@ const GraphVisualization = ({
     }
     mesh.instanceMatrix.needsUpdate = true;
     if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    mesh.computeBoundingSphere(); // raycasting culls against it
 
     const emissive = mesh.geometry.getAttribute('instanceEmissive');
     if (emissive) {
-      emissive.array.fill(0);
+      emissive.array.set(baseEmissive);
       emissive.needsUpdate = true;
     }
     prevHighlightsRef.current = new Set();
-  }, [nodes, baseColors, halfW, halfH, position, dummy, tmpColor]);
+  }, [nodes, heights, baseColors, baseEmissive, cellCentre, rowSpacing, position, dummy, tmpColor]);
 
   // Highlight pass: only touch instances whose state changed.
   useLayoutEffect(() => {
@@ -174,9 +290,31 @@ const GraphVisualization = ({
       colors[idx * 3] = base[idx * 3];
       colors[idx * 3 + 1] = base[idx * 3 + 1];
       colors[idx * 3 + 2] = base[idx * 3 + 2];
-      emissive[idx * 3] = 0;
-      emissive[idx * 3 + 1] = 0;
-      emissive[idx * 3 + 2] = 0;
+      emissive[idx * 3] = baseEmissive[idx * 3];
+      emissive[idx * 3 + 1] = baseEmissive[idx * 3 + 1];
+      emissive[idx * 3 + 2] = baseEmissive[idx * 3 + 2];
+    }
+
+    // Search exploration: closed cells, then the open set on top.
+    if (animationState?.visited) {
+      for (const k of animationState.visited) {
+        const idx = keyToIndex.get(k);
+        if (idx !== undefined) write(idx, COLOR_VISITED, EMISSIVE_VISITED);
+      }
+    }
+    if (animationState?.frontier) {
+      for (const k of animationState.frontier) {
+        const idx = keyToIndex.get(k);
+        if (idx !== undefined) write(idx, COLOR_FRONTIER, EMISSIVE_FRONTIER);
+      }
+    }
+
+    // Route ahead of the head that living terrain just rerouted.
+    if (animationState?.replanned) {
+      for (const k of animationState.replanned) {
+        const idx = keyToIndex.get(k);
+        if (idx !== undefined) write(idx, COLOR_REPLANNED, EMISSIVE_REPLANNED);
+      }
     }
 
     const activePath = animationState?.currentPath;
@@ -197,48 +335,190 @@ const GraphVisualization = ({
       if (idx !== undefined) write(idx, COLOR_CURRENT, EMISSIVE_CURRENT);
     }
 
+    for (const agent of animationState?.agents?.slice(1) ?? []) {
+      const color = AGENT_COLORS[agent.id];
+      const { emissive: agentEmissive, head } = AGENT_STYLES[agent.id];
+      for (const k of agent.currentPath) {
+        const idx = keyToIndex.get(k);
+        if (idx !== undefined) write(idx, color, agentEmissive);
+      }
+      const endIdx = keyToIndex.get(coordToKey(agent.end.x, agent.end.y, gridWidth));
+      if (endIdx !== undefined) write(endIdx, color, agent.arrived ? head : EMISSIVE_VISITED);
+      const headIdx = agent.arrived ? undefined : keyToIndex.get(agent.current);
+      if (headIdx !== undefined) write(headIdx, COLOR_CURRENT, head);
+    }
+
+    if (waypoints) {
+      for (const point of waypoints) {
+        const idx = keyToIndex.get(coordToKey(point.x, point.y, gridWidth));
+        if (idx !== undefined) write(idx, COLOR_WAYPOINT, EMISSIVE_WAYPOINT);
+      }
+    }
+
     if (startPoint) {
       const idx = keyToIndex.get(coordToKey(startPoint.x, startPoint.y, gridWidth));
       if (idx !== undefined) write(idx, COLOR_START, EMISSIVE_START);
     }
-    // End node stays dark until the path reaches it (i.e. completion).
+    // End node stays dark until the path reaches it (i.e. completion); a
+    // partial route never does.
     const pathComplete = !isAnimating && path && path.length > 0;
     if (endPoint && pathComplete) {
-      const idx = keyToIndex.get(coordToKey(endPoint.x, endPoint.y, gridWidth));
-      if (idx !== undefined) write(idx, COLOR_END, EMISSIVE_END);
+      const endKey = coordToKey(endPoint.x, endPoint.y, gridWidth);
+      const idx = keyToIndex.get(endKey);
+      if (idx !== undefined && path[path.length - 1] === endKey) write(idx, COLOR_END, EMISSIVE_END);
     }
 
     prevHighlightsRef.current = next;
     mesh.instanceColor.needsUpdate = true;
     emissiveAttr.needsUpdate = true;
-  }, [animationState, startPoint, endPoint, isAnimating, path, pathKeys, keyToIndex, baseColors, gridWidth]);
+  }, [animationState, startPoint, endPoint, waypoints, isAnimating, path, pathKeys, keyToIndex, baseColors, baseEmissive, gridWidth]);
 
-  // Single Line through the visited path.
-  const linePoints = useMemo(() => {
-    let pts = null;
-    if (animationState?.currentPath && animationState.currentPath.length >= 2) {
-      pts = animationState.currentPath;
-    } else if (!isAnimating && path && path.length >= 2) {
-      pts = path;
+  // Trail glow pass: which trail cell lights each cube, and since when. Only
+  // cubes whose trail cell changed since the last pass are rewritten and
+  // uploaded, unless the attributes or the cell positions are new.
+  useLayoutEffect(() => {
+    const mesh = meshRef.current;
+    const trailAttr = mesh?.geometry.getAttribute('instanceTrail');
+    const sourceAttr = mesh?.geometry.getAttribute('instanceTrailSource');
+    if (!trailAttr || !sourceAttr) return;
+    const tracks = trailGlow === 'shader' ? glowTracks(animationState, isAnimating, path) : [];
+    const previous = glowWrittenRef.current;
+    const unmoved = previous?.trail === trailAttr.array && previous.cellCentre === cellCentre && previous.heights === heights;
+    const { lit, owners, from, to } = writeTrailGlow({
+      tracks,
+      litAt: litAtRef.current,
+      written: unmoved ? previous.owners : null,
+      now: clock.elapsedTime,
+      graph: graphData,
+      keyToIndex,
+      cellCentre,
+      groundAt: (key) => position[2] + groundHeight(heights, key),
+      trail: trailAttr.array,
+      source: sourceAttr.array,
+    });
+    litAtRef.current = lit;
+    glowWrittenRef.current = { trail: trailAttr.array, cellCentre, heights, owners };
+    if (from >= to) return;
+    for (const attr of [trailAttr, sourceAttr]) {
+      attr.addUpdateRange(from, to - from);
+      attr.needsUpdate = true;
+    }
+  }, [trailGlow, animationState, isAnimating, path, graphData, heights, keyToIndex, cellCentre, position, clock]);
+
+  // Torches follow the heads every frame, pulsing.
+  useFrame(() => {
+    const t = clock.elapsedTime;
+    glowUniforms.uGlowTime.value = t;
+    glowUniforms.uGlowSteady.value = reducedMotion ? 1 : 0;
+    const torches = glowUniforms.uTorches.value;
+    for (const torch of torches) torch.w = 0;
+    if (trailGlow !== 'shader') return;
+    for (const { id, head } of glowTracks(animationState, isAnimating, path)) {
+      const node = head != null ? nodes.get(head) : null;
+      if (!node || !torches[id]) continue;
+      const z = position[2] + groundHeight(heights, head) + TORCH_Z;
+      torches[id].set(...cellCentre(node.x, node.y), z, torchIntensity(t, id, reducedMotion));
     }
-    if (!pts) return null;
+  });
+
+  // Height of the route line over cell `key`: through the middle of the
+  // cube, or just over the column top.
+  const lineHeight = useCallback((key, node) => (heights
+    ? groundHeight(heights, key) + COLUMN_LINE_LIFT
+    : sizeForWeight(node.weight).size / 2), [heights]);
 
-    const out = new Array(pts.length);
-    for (let i = 0; i < pts.length; i++) {
-      const node = nodes.get(pts[i]);
+  // Line points over the tops of the cubes along `keys`. Waits (repeated
+  // keys) are dropped; null when fewer than two points remain.
+  const toLinePoints = useCallback((keys) => {
+    const out = [];
+    for (let i = 0; i < keys.length; i++) {
+      if (i > 0 && keys[i] === keys[i - 1]) continue;
+      const node = nodes.get(keys[i]);
       if (!node) {
-        out[i] = [0, 0, 0];
+        out.push([0, 0, 0]);
         continue;
       }
-      const { size } = sizeForWeight(node.weight);
-      out[i] = [
-        node.x * SKIP - halfW + position[0],
-        node.y * SKIP - halfH + position[1],
-        position[2] + size / 2,
-      ];
+      out.push([...cellCentre(node.x, node.y), position[2] + lineHeight(keys[i], node)]);
+    }
+    return out.length >= 2 ? out : null;
+  }, [nodes, cellCentre, position, lineHeight]);
+
+  // Line points through layout-unit `points`, resting on the cube nearest
+  // each one.
+  const toShapePoints = useCallback((points) => points.map(({ x, y }) => {
+    const key = board.cellAt(x, y, gridWidth, gridHeight);
+    const node = nodes.get(key);
+    const top = node ? lineHeight(key, node) : 0;
+    return [x * SKIP - halfW + position[0], y * SKIP - halfH + position[1], position[2] + top];
+  }), [nodes, board, gridWidth, gridHeight, halfW, halfH, position, lineHeight]);
+
+  // Single Line through the visited path.
+  const linePoints = useMemo(() => {
+    const shape = animationState?.shape;
+    if (shape && shape.points.length >= 2) {
+      const points = toShapePoints(shape.points);
+      if (shape.style !== 'curve' || points.length < 3) return points;
+      const curve = new THREE.CatmullRomCurve3(points.map((p) => new THREE.Vector3(...p)), false, 'centripetal');
+      return curve.getPoints(points.length * CURVE_SAMPLES_PER_POINT).map((v) => [v.x, v.y, v.z]);
+    }
+    if (animationState?.currentPath && animationState.currentPath.length >= 2) {
+      return toLinePoints(animationState.currentPath);
     }
-    return out;
-  }, [animationState, isAnimating, path, nodes, halfW, halfH, position]);
+    if (!isAnimating && path && path.length >= 2) return toLinePoints(path);
+    return null;
+  }, [animationState, isAnimating, path, toLinePoints, toShapePoints]);
+
+  const agentLines = useMemo(
+    () => (animationState?.agents?.slice(1) ?? [])
+      .map((agent) => ({ id: agent.id, points: toLinePoints(agent.currentPath) }))
+      .filter(({ points }) => points),
+    [animationState, toLinePoints]
+  );
+
+  const interactive = Boolean(onCellPointerDown || onCellDrag);
+
+  // Releasing anywhere, even off the canvas, ends a drag.
+  useEffect(() => {
+    if (!interactive) return;
+    const release = () => { dragKeyRef.current = -1; };
+    window.addEventListener('pointerup', release);
+    window.addEventListener('pointercancel', release);
+    return () => {
+      window.removeEventListener('pointerup', release);
+      window.removeEventListener('pointercancel', release);
+    };
+  }, [interactive]);
+
+  // Cell under the pointer: the hit instance, else the board cell at the
+  // plane intersection. -1 outside the board.
+  const keyFromEvent = (e) => {
+    if (e.object === meshRef.current && e.instanceId !== undefined) return indexToKey[e.instanceId];
+    const x = (e.point.x - position[0] + halfW) / SKIP;
+    const y = (e.point.y - position[1] + halfH) / SKIP;
+    return board.cellAt(x, y, gridWidth, gridHeight);
+  };
+
+  const handlePointerDown = (e) => {
+    e.stopPropagation();
+    const key = keyFromEvent(e);
+    if (key < 0) return;
+    dragKeyRef.current = key;
+    onCellPointerDown?.(key);
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragKeyRef.current < 0) return;
+    e.stopPropagation();
+    const key = keyFromEvent(e);
+    if (key < 0 || key === dragKeyRef.current) return;
+    const previous = dragKeyRef.current;
+    dragKeyRef.current = key;
+    onCellDrag?.(key, previous);
+  };
+
+  const pointerHandlers = interactive
+    ? { onPointerDown: handlePointerDown, onPointerMove: handlePointerMove }
+    : {};
 
   return (
     <>
@@ -246,11 +526,23 @@ const GraphVisualization = ({
         ref={meshRef}
         args={[geometry, material, count]}
         frustumCulled={false}
+        {...pointerHandlers}
       />
 
+      {interactive && (
+        <mesh position={position} {...pointerHandlers}>
+          <planeGeometry args={[(extentW + 2) * SKIP, (extentH + 2) * SKIP]} />
+          <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+        </mesh>
+      )}
+
       {linePoints && (
         <Line points={linePoints} color="#ffffff" lineWidth={3.5} transparent opacity={1.0} />
       )}
+
+      {agentLines.map(({ id, points }) => (
+        <Line key={`agent-${id}`} points={points} color={AGENT_STYLES[id].color} lineWidth={2.5} />
+      ))}
     </>
   );
 };
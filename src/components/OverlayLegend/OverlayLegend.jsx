@@ -0,0 +1,38 @@
+import React from 'react';
+import { COST_OVERLAYS, OVERLAY_COLORMAP } from '../../utils/costOverlay';
+import './OverlayLegend.css';
+
+const GRADIENT = `linear-gradient(to right, ${OVERLAY_COLORMAP.join(', ')})`;
+
+const formatValue = (value) => (value >= 100 ? value.toFixed(0) : value.toFixed(1));
+
+// Overlay picker plus, while an overlay is shown, its colour scale labelled
+// with the raw values at either end. mode is a COST_OVERLAYS key and overlay
+// the computeCostOverlay result being drawn (null when there is none).
+export default function OverlayLegend({ mode, onModeChange, overlay }) {
+  return (
+    <div className="overlay-legend" role="group" aria-label="Cost overlay">
+      <select
+        className="overlay-legend-select"
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value)}
+        aria-label="Overlay"
+      >
+        {Object.entries(COST_OVERLAYS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      {overlay && (
+        <div className="overlay-legend-scale">
+          <span className="overlay-legend-value">{formatValue(overlay.min)}</span>
+          <span
+            className="overlay-legend-bar"
+            style={{ backgroundImage: GRADIENT }}
+            title={overlay.logScale ? 'Log scale' : 'Linear scale'}
+          />
+          <span className="overlay-legend-value">{formatValue(overlay.max)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,27 @@
+import { useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+
+const SAMPLE_WINDOW_MS = 1000;
+const STALL_MS = 250;                  // longer frames are a hidden tab or a one-off hitch, not load
+
+// Samples frame times inside the Canvas and reports one summary per window
+// to onSample: { frameMs (mean), worstMs, fps }.
+export default function PerformanceMonitor({ onSample }) {
+  const windowRef = useRef({ elapsed: 0, frames: 0, worst: 0 });
+
+  useFrame((_, delta) => {
+    const ms = delta * 1000;
+    if (ms > STALL_MS) return;
+    const sample = windowRef.current;
+    sample.elapsed += ms;
+    sample.frames++;
+    sample.worst = Math.max(sample.worst, ms);
+    if (sample.elapsed < SAMPLE_WINDOW_MS) return;
+
+    const frameMs = sample.elapsed / sample.frames;
+    onSample({ frameMs, worstMs: sample.worst, fps: 1000 / frameMs });
+    windowRef.current = { elapsed: 0, frames: 0, worst: 0 };
+  });
+
+  return null;
+}
@@ -0,0 +1,94 @@
+import React, { useEffect } from 'react';
+import { PLAYBACK_SPEEDS } from '../../hooks/usePathfinding';
+import './PlaybackBar.css';
+
+// Keys only steer playback while the canvas is in view and nothing that takes
+// typing has focus.
+const ignoresKeys = (event) =>
+  event.ctrlKey || event.metaKey || event.altKey ||
+  event.target.closest?.('input, textarea, select, button, [contenteditable="true"]') ||
+  window.scrollY > window.innerHeight / 2;
+
+// Pause/resume, single steps, a scrubber over the current route's ticks,
+// speed and "next scene" for the pathfinding animation. Space toggles pause,
+// the arrow keys step and N skips to the next scene. playback is the hook's
+// { step, lastStep }.
+export default function PlaybackBar({
+  paused,
+  onPausedChange,
+  onStepBack,
+  onStepForward,
+  playback,
+  onSeek,
+  speed,
+  onSpeedChange,
+  onNextScene,
+  disabled,
+}) {
+  useEffect(() => {
+    if (disabled) return;
+    const handleKeyDown = (event) => {
+      if (ignoresKeys(event)) return;
+      if (event.key === ' ') {
+        event.preventDefault();
+        onPausedChange(!paused);
+      } else if (event.key === 'ArrowLeft') {
+        event.preventDefault();
+        onStepBack();
+      } else if (event.key === 'ArrowRight') {
+        event.preventDefault();
+        onStepForward();
+      } else if (event.key === 'n' || event.key === 'N') {
+        onNextScene();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [disabled, paused, onPausedChange, onStepBack, onStepForward, onNextScene]);
+
+  return (
+    <div className="playback-bar" role="toolbar" aria-label="Playback">
+      <button type="button" onClick={onStepBack} disabled={disabled} aria-label="Step back" title="Step back (←)">
+        ‹
+      </button>
+      <button
+        type="button"
+        className="playback-bar-play"
+        onClick={() => onPausedChange(!paused)}
+        disabled={disabled}
+        aria-pressed={paused}
+        title={paused ? 'Play (space)' : 'Pause (space)'}
+      >
+        {paused ? 'Play' : 'Pause'}
+      </button>
+      <button type="button" onClick={onStepForward} disabled={disabled} aria-label="Step forward" title="Step forward (→)">
+        ›
+      </button>
+      <input
+        type="range"
+        className="playback-bar-scrubber"
+        min={0}
+        max={playback.lastStep}
+        value={playback.step}
+        onChange={(e) => onSeek(Number(e.target.value))}
+        disabled={disabled}
+        aria-label="Route position"
+        aria-valuetext={`Step ${playback.step} of ${playback.lastStep}`}
+      />
+      <select
+        className="playback-bar-speed"
+        value={speed}
+        onChange={(e) => onSpeedChange(Number(e.target.value))}
+        disabled={disabled}
+        aria-label="Speed"
+      >
+        {PLAYBACK_SPEEDS.map((value) => (
+          <option key={value} value={value}>{value}×</option>
+        ))}
+      </select>
+      <button type="button" onClick={onNextScene} disabled={disabled} title="Next scene (N)">
+        Next
+      </button>
+    </div>
+  );
+}
@@ -1,34 +1,13 @@
-import React, { useState, useEffect, useRef } from 'react'
+import React from 'react'
+import { useScrollProgress } from '../hooks/useScrollProgress'
 import "./PortfolioHeading.css"
 
 export default function PortfolioHeading() {
-  const [isScrolled, setIsScrolled] = useState(false);
-  const [lastScrollY, setLastScrollY] = useState(0);
-  const headingRef = useRef(null);
-
-  useEffect(() => {
-    const handleScroll = () => {
-      const currentScrollY = window.scrollY;
-      
-      if (currentScrollY > 50) {
-        setIsScrolled(true);
-      } else if (currentScrollY < 50) {
-        setIsScrolled(false);
-      }
-      
-      setLastScrollY(currentScrollY);
-    };
-
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    return () => window.removeEventListener('scroll', handleScroll);
-  }, []); // Empty dependency array
+  const isScrolled = useScrollProgress((scroll) => scroll.scrolled);
 
   return (
-    <h1 
-      ref={headingRef}
-      className={`portfolio-heading ${isScrolled ? 'scrolled' : ''}`}
-    >
+    <h1 className={`portfolio-heading ${isScrolled ? 'scrolled' : ''}`}>
       Portfolio
     </h1>
   )
-} 
\ No newline at end of file
+}
@@ -0,0 +1,78 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Html } from '@react-three/drei';
+import Card from '../Card/Card';
+import { groundHeight } from '../groundHeight';
+import { topologyOf } from '../../utils/topology';
+import './PortfolioLandmarks.css';
+
+const SKIP = 2;
+const LANDMARK_Z = 3;                  // marker height over its cell's ground
+const LANDMARK_RADIUS = 0.8;
+const LANDMARK_GLOW = 1.6;             // emissive intensity, so bloom picks the markers out
+const LABEL_OFFSET_Z = 1.6;            // label above the marker
+const LABEL_Z_INDEX = [1000, 900];     // under the page's overlays (1001)
+const CLOSE_DELAY_MS = 200;            // grace for moving from a marker onto its card
+
+// Portfolio companies as landmarks over their stops: a marker in the
+// company's colour and a label that opens the company's Card on hover, focus
+// or tap. landmarks is [{ point, name, color, ...Card props }], positioned
+// like GraphVisualization's cells.
+export default function PortfolioLandmarks({ landmarks, graphData }) {
+  const [openIndex, setOpenIndex] = useState(-1);
+  const closeTimer = useRef(null);
+  const { heights, gridWidth, gridHeight } = graphData;
+  const board = topologyOf(graphData.topology);
+  const [halfW, halfH] = board.extent(gridWidth, gridHeight).map((span) => (span * SKIP) / 2);
+
+  useEffect(() => () => clearTimeout(closeTimer.current), []);
+
+  const open = (index) => {
+    clearTimeout(closeTimer.current);
+    setOpenIndex(index);
+  };
+  const closeSoon = () => {
+    clearTimeout(closeTimer.current);
+    closeTimer.current = setTimeout(() => setOpenIndex(-1), CLOSE_DELAY_MS);
+  };
+
+  return landmarks.map(({ point, color, ...company }, index) => {
+    const [px, py] = board.position(point.x, point.y);
+    const z = groundHeight(heights, point.y * gridWidth + point.x) + LANDMARK_Z;
+    const position = [px * SKIP - halfW, py * SKIP - halfH, z];
+    const isOpen = openIndex === index;
+    return (
+      <group key={company.name} position={position}>
+        <mesh onPointerOver={() => open(index)} onPointerOut={closeSoon}>
+          <octahedronGeometry args={[LANDMARK_RADIUS]} />
+          <meshStandardMaterial color={color} emissive={color} emissiveIntensity={LANDMARK_GLOW} />
+        </mesh>
+        <Html position={[0, 0, LABEL_OFFSET_Z]} center zIndexRange={LABEL_Z_INDEX}>
+          <div
+            className="portfolio-landmark"
+            style={{ '--landmark-color': color }}
+            onMouseEnter={() => open(index)}
+            onMouseLeave={closeSoon}
+            onBlur={(e) => {
+              if (!e.currentTarget.contains(e.relatedTarget)) closeSoon();
+            }}
+          >
+            <button
+              type="button"
+              className="portfolio-landmark-label"
+              aria-expanded={isOpen}
+              onFocus={() => open(index)}
+              onClick={() => (isOpen ? setOpenIndex(-1) : open(index))}
+            >
+              {company.name}
+            </button>
+            {isOpen && (
+              <div className="portfolio-landmark-card">
+                <Card {...company} />
+              </div>
+            )}
+          </div>
+        </Html>
+      </group>
+    );
+  });
+}
@@ -0,0 +1,60 @@
+import React, { useSyncExternalStore } from 'react';
+import { QUALITY_TIERS } from '../../utils/qualityTiers';
+import { TRAIL_GLOWS } from '../trailGlow';
+import './QualityOverlay.css';
+
+const AUTO = 'auto';
+
+// Debug readout (?debug) of the adaptive rendering quality: the tier in use,
+// what it sets and the latest PerformanceMonitor sample. The select pins a
+// tier or hands control back to the monitor; the glow select switches between
+// the shader trail glow and its point-light fallback.
+export default function QualityOverlay({ quality, gridWidth, gridHeight, trailGlow, onTrailGlowChange }) {
+  const { tierKey, tier, pinned, setPinned, subscribeStats, getStats } = quality;
+  const stats = useSyncExternalStore(subscribeStats, getStats);
+  return (
+    <div className="quality-overlay" role="status" aria-label="Rendering quality">
+      <div className="quality-overlay-row">
+        <span className="quality-overlay-tier">{tier.label}</span>
+        <select
+          className="quality-overlay-select"
+          value={pinned ?? AUTO}
+          onChange={(e) => setPinned(e.target.value === AUTO ? null : e.target.value)}
+          aria-label="Quality tier"
+        >
+          <option value={AUTO}>Auto ({tierKey})</option>
+          {Object.entries(QUALITY_TIERS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      <dl className="quality-overlay-stats">
+        <dt>Frame</dt>
+        <dd>{stats ? `${stats.frameMs.toFixed(1)} ms (${stats.fps.toFixed(0)} fps)` : '…'}</dd>
+        <dt>Worst</dt>
+        <dd>{stats ? `${stats.worstMs.toFixed(1)} ms` : '…'}</dd>
+        <dt>DPR</dt>
+        <dd>{tier.dpr[0] === tier.dpr[1] ? tier.dpr[0] : tier.dpr.join('–')}</dd>
+        <dt>Bloom</dt>
+        <dd>{tier.bloom ? `on, ${tier.multisampling}× MSAA` : 'off'}</dd>
+        <dt>Glow</dt>
+        <dd>
+          <select
+            className="quality-overlay-select"
+            value={trailGlow}
+            onChange={(e) => onTrailGlowChange(e.target.value)}
+            aria-label="Trail glow"
+          >
+            {Object.entries(TRAIL_GLOWS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </dd>
+        <dt>Trail lights</dt>
+        <dd>{trailGlow === 'lights' ? tier.trailLights : 0}</dd>
+        <dt>Grid</dt>
+        <dd>{gridWidth} × {gridHeight}</dd>
+      </dl>
+    </div>
+  );
+}
@@ -1,5 +1,11 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
+import * as THREE from 'three';
 import { useFrame, useThree } from '@react-three/fiber';
+import { OrbitControls } from '@react-three/drei';
+import { DEFAULT_TOPOLOGY, topologyOf } from '../utils/topology';
+import { DEFAULT_CAMERA_MODE } from './cameraModes';
+import { groundHeight } from './groundHeight';
+import { useScrollProgress } from '../hooks/useScrollProgress';
 
 const FOV_DEG = 60;
 const FOV_RAD = (FOV_DEG * Math.PI) / 180;
@@ -11,14 +17,75 @@ const SKIP = 2;
 const DOLLY_AMPLITUDE = 1.5;
 const DOLLY_HZ = 0.0133;
 
-const ResponsiveCamera = ({ target = [0, 0, 0], gridWidth, gridHeight }) => {
+const FLAT_LEAN = 1e-3;                // the flat view leans this much so a z-up camera stays well defined
+const TILT_RAD = (40 * Math.PI) / 180; // tilted view, from straight down
+const TILT_DISTANCE = 1.05;            // tilted distance as a share of the flat fit
+const CAMERA_EASE = 2.5;               // per second; the share of the way to the pose closed each frame grows with it
+const HEADING_EASE = 3;                // same for the chase camera turning with the route
+const ARRIVED = 0.05;                  // world units from the orbit start pose that hand over to the controls
+const CHASE_BACK = 14;
+const CHASE_HEIGHT = 12;
+const CHASE_LOOK_AHEAD = 4;
+const ORBIT_DAMPING = 0.08;
+const ORBIT_MAX_POLAR = 1.2;           // radians from straight down
+const ORBIT_MAX_AZIMUTH = Math.PI * 0.75;
+const PULLBACK_TILT_RAD = (55 * Math.PI) / 180; // fully pulled back, from straight down
+const PULLBACK_DISTANCE = 1.6;         // fully pulled back, as a share of the flat fit
+const ORIGIN = [0, 0, 0];
+const Z_UP = new THREE.Vector3(0, 0, 1);
+
+// Scratch vectors for the per-frame pose, so framing allocates nothing.
+const goalPosition = new THREE.Vector3();
+const goalLook = new THREE.Vector3();
+const headWorld = new THREE.Vector3();
+const direction = new THREE.Vector3();
+const pulledPosition = new THREE.Vector3();
+const centre = new THREE.Vector3();
+
+// `topology` is the board's TOPOLOGIES key; every mode's distance comes from
+// the fit of its extent to the viewport. mode is a CAMERA_MODES key; the
+// camera glides between modes (and after a resize) rather than cutting.
+// 'chase' follows animationState.current, riding over the columns on boards
+// with `heights`, and falls back to the tilted view while there is no head.
+// Scrolling towards the portfolio (useScrollProgress) blends whichever pose
+// towards a further, more tilted view of the whole board; it is read here,
+// inside the Canvas, so scrolling re-renders only the camera. Orbit controls
+// only take over once the camera has reached the orbit start pose, and only
+// while `interactive` and not pulled back; they rotate but never zoom or
+// pan, so the wheel still scrolls the page. With reducedMotion the camera
+// cuts between poses, drops the dolly and holds the tilted view instead of
+// chasing.
+const ResponsiveCamera = ({
+  target = ORIGIN,
+  gridWidth,
+  gridHeight,
+  topology = DEFAULT_TOPOLOGY,
+  mode = DEFAULT_CAMERA_MODE,
+  animationState,
+  heights = null,
+  reducedMotion = false,
+  interactive = true,
+}) => {
   const { camera, size } = useThree();
   const baseDistanceRef = useRef(80);
+  const poseRef = useRef(null);   // { position, look } the camera is easing from
+  const headingRef = useRef(new THREE.Vector3(0, 1, 0));
+  const [orbiting, setOrbiting] = useState(false);
+  const pullback = useScrollProgress((scroll) => scroll.progress);
+  const [tx, ty, tz] = target;
+
+  // The grid lies in the xy plane; z up keeps orbiting and chasing level.
+  useEffect(() => {
+    const previous = camera.up.clone();
+    camera.up.copy(Z_UP);
+    return () => camera.up.copy(previous);
+  }, [camera]);
 
   useEffect(() => {
     const aspect = size.width / size.height;
-    const worldW = (gridWidth - 1) * SKIP;
-    const worldH = (gridHeight - 1) * SKIP;
+    const [extentW, extentH] = topologyOf(topology).extent(gridWidth, gridHeight);
+    const worldW = extentW * SKIP;
+    const worldH = extentH * SKIP;
 
     const dForHeight = (worldH * PADDING) / (2 * TAN_HALF_FOV);
     const dForWidth = (worldW * PADDING) / (2 * TAN_HALF_FOV * aspect);
@@ -27,18 +94,93 @@ const ResponsiveCamera = ({ target = [0, 0, 0], gridWidth, gridHeight }) => {
     distance = Math.max(MIN_DISTANCE, Math.min(MAX_DISTANCE, distance));
 
     baseDistanceRef.current = distance;
-    camera.position.set(0, 0, distance);
-    camera.lookAt(...target);
     camera.updateProjectionMatrix();
-  }, [camera, size, target, gridWidth, gridHeight]);
+  }, [camera, size, gridWidth, gridHeight, topology]);
+
+  const orbitAllowed = mode === 'orbit' && interactive && pullback === 0;
+  useEffect(() => {
+    if (!orbitAllowed) setOrbiting(false);
+  }, [orbitAllowed]);
+
+  // World position of grid cell `key`, matching GraphVisualization.
+  const cellWorld = (key, out) => {
+    const board = topologyOf(topology);
+    const [extentW, extentH] = board.extent(gridWidth, gridHeight);
+    const [px, py] = board.position(key % gridWidth, Math.floor(key / gridWidth));
+    return out.set(
+      px * SKIP - (extentW * SKIP) / 2 + tx,
+      py * SKIP - (extentH * SKIP) / 2 + ty,
+      tz + groundHeight(heights, key)
+    );
+  };
+
+  useFrame(({ clock }, delta) => {
+    if (orbiting) {
+      // The controls move the camera; glide on from wherever they leave it.
+      poseRef.current?.position.copy(camera.position);
+      poseRef.current?.look.set(tx, ty, tz);
+      return;
+    }
+
+    const distance = baseDistanceRef.current;
+    const position = goalPosition;
+    const look = goalLook.set(tx, ty, tz);
+    const steps = animationState?.currentPath;
+    const head = animationState?.current;
+    if (mode === 'chase' && !reducedMotion && head != null && steps?.length > 0) {
+      cellWorld(head, headWorld);
+      if (steps.length > 1) {
+        cellWorld(steps[steps.length - 2], direction).subVectors(headWorld, direction);
+        if (direction.lengthSq() > 0) {
+          headingRef.current.lerp(direction.normalize(), 1 - Math.exp(-delta * HEADING_EASE)).normalize();
+        }
+      }
+      const heading = headingRef.current;
+      look.copy(headWorld).addScaledVector(heading, CHASE_LOOK_AHEAD);
+      position.copy(headWorld).addScaledVector(heading, -CHASE_BACK);
+      position.z += CHASE_HEIGHT;
+    } else if (mode === 'flat') {
+      const dolly = reducedMotion ? 0 : Math.sin(clock.getElapsedTime() * Math.PI * 2 * DOLLY_HZ) * DOLLY_AMPLITUDE;
+      position.set(tx, ty - distance * FLAT_LEAN, tz + distance + dolly);
+    } else {
+      const tilted = distance * TILT_DISTANCE;
+      position.set(tx, ty - Math.sin(TILT_RAD) * tilted, tz + Math.cos(TILT_RAD) * tilted);
+    }
+    if (pullback > 0) {
+      const pulled = distance * PULLBACK_DISTANCE;
+      pulledPosition.set(
+        tx,
+        ty - Math.sin(PULLBACK_TILT_RAD) * pulled,
+        tz + Math.cos(PULLBACK_TILT_RAD) * pulled
+      );
+      position.lerp(pulledPosition, pullback);
+      look.lerp(centre.set(tx, ty, tz), pullback);
+    }
+
+    if (!poseRef.current) poseRef.current = { position: position.clone(), look: look.clone() };
+    const pose = poseRef.current;
+    const ease = reducedMotion ? 1 : 1 - Math.exp(-delta * CAMERA_EASE);
+    pose.position.lerp(position, ease);
+    pose.look.lerp(look, ease);
+    camera.position.copy(pose.position);
+    camera.lookAt(pose.look);
 
-  useFrame(({ clock }) => {
-    const t = clock.getElapsedTime();
-    camera.position.z = baseDistanceRef.current + Math.sin(t * Math.PI * 2 * DOLLY_HZ) * DOLLY_AMPLITUDE;
-    camera.lookAt(...target);
+    if (orbitAllowed && pose.position.distanceTo(position) < ARRIVED) setOrbiting(true);
   });
 
-  return null;
+  return orbiting ? (
+    <OrbitControls
+      target={[tx, ty, tz]}
+      enableDamping
+      dampingFactor={ORBIT_DAMPING}
+      enableZoom={false}
+      enablePan={false}
+      minPolarAngle={0}
+      maxPolarAngle={ORBIT_MAX_POLAR}
+      minAzimuthAngle={-ORBIT_MAX_AZIMUTH}
+      maxAzimuthAngle={ORBIT_MAX_AZIMUTH}
+    />
+  ) : null;
 };
 
 export default ResponsiveCamera;
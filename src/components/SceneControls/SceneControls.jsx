@@ -0,0 +1,151 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { encodeSceneParams } from '../../utils/scene';
+import { TERRAIN_GENERATORS } from '../../utils/terrain';
+import { PATH_STYLES } from '../../utils/pathSmoothing';
+import { TOPOLOGIES } from '../../utils/topology';
+import { CAMERA_MODES } from '../cameraModes';
+import './SceneControls.css';
+
+const COPIED_FEEDBACK_MS = 1600;
+export const ANY_TERRAIN = 'any';
+
+// Overlay for stepping through recent scenes, picking the terrain and sharing
+// the current scene. The copied link carries the full scene, so opening it
+// replays it exactly. terrainChoice is a TERRAIN_GENERATORS key or
+// ANY_TERRAIN to rotate between all of them. The living toggle lets terrains
+// that drift keep changing while the route is walked; pathStyle is a
+// PATH_STYLES key, topology the TOPOLOGIES key new scenes are played on and
+// cameraMode a CAMERA_MODES key. The portfolio toggle puts the portfolio
+// companies on the board as the route's stops.
+export default function SceneControls({
+  scene,
+  sceneHistory,
+  historyIndex,
+  onPlayScene,
+  linkParams,
+  terrainChoice,
+  onTerrainChange,
+  livingTerrain,
+  onLivingTerrainChange,
+  replanStats,
+  pathStyle,
+  onPathStyleChange,
+  topology,
+  onTopologyChange,
+  cameraMode,
+  onCameraModeChange,
+  showPortfolio,
+  onShowPortfolioChange,
+}) {
+  const [copyState, setCopyState] = useState('idle');
+  const resetTimer = useRef(null);
+
+  useEffect(() => () => clearTimeout(resetTimer.current), []);
+
+  if (!scene) return null;
+
+  const canGoBack = historyIndex > 0;
+  const canGoForward = historyIndex >= 0 && historyIndex < sceneHistory.length - 1;
+
+  const copyLink = async () => {
+    const query = encodeSceneParams(scene, linkParams).toString();
+    const url = `${window.location.origin}${window.location.pathname}?${query}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopyState('copied');
+    } catch {
+      setCopyState('failed');
+    }
+    clearTimeout(resetTimer.current);
+    resetTimer.current = setTimeout(() => setCopyState('idle'), COPIED_FEEDBACK_MS);
+  };
+
+  return (
+    <div className="scene-controls" role="group" aria-label="Scene controls">
+      <button
+        type="button"
+        onClick={() => onPlayScene(sceneHistory[historyIndex - 1])}
+        disabled={!canGoBack}
+        aria-label="Previous scene"
+      >
+        ‹
+      </button>
+      <span className="scene-controls-seed" title="Scene seed">
+        #{scene.seed}
+      </span>
+      <button
+        type="button"
+        onClick={() => onPlayScene(sceneHistory[historyIndex + 1])}
+        disabled={!canGoForward}
+        aria-label="Next scene in history"
+      >
+        ›
+      </button>
+      <select
+        className="scene-controls-select"
+        value={terrainChoice}
+        onChange={(e) => onTerrainChange(e.target.value)}
+        aria-label="Terrain"
+        title={`Current: ${TERRAIN_GENERATORS[scene.terrain]?.label ?? scene.terrain}`}
+      >
+        <option value={ANY_TERRAIN}>Any terrain</option>
+        {Object.entries(TERRAIN_GENERATORS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <select
+        className="scene-controls-select"
+        value={topology}
+        onChange={(e) => onTopologyChange(e.target.value)}
+        aria-label="Board"
+      >
+        {Object.entries(TOPOLOGIES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <select
+        className="scene-controls-select"
+        value={pathStyle}
+        onChange={(e) => onPathStyleChange(e.target.value)}
+        aria-label="Path style"
+      >
+        {Object.entries(PATH_STYLES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <select
+        className="scene-controls-select"
+        value={cameraMode}
+        onChange={(e) => onCameraModeChange(e.target.value)}
+        aria-label="Camera"
+      >
+        {Object.entries(CAMERA_MODES).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <button
+        type="button"
+        className="scene-controls-living"
+        aria-pressed={livingTerrain}
+        onClick={() => onLivingTerrainChange(!livingTerrain)}
+        title={replanStats
+          ? `${replanStats.replans} replans, ${replanStats.nodesExpanded} nodes expanded`
+          : 'Let drifting terrain change while the route is walked'}
+      >
+        Living
+      </button>
+      <button
+        type="button"
+        className="scene-controls-portfolio"
+        aria-pressed={showPortfolio}
+        onClick={() => onShowPortfolioChange(!showPortfolio)}
+        title="Route between the portfolio companies"
+      >
+        Portfolio
+      </button>
+      <button type="button" className="scene-controls-copy" onClick={copyLink}>
+        {copyState === 'copied' ? 'Copied' : copyState === 'failed' ? 'Copy failed' : 'Copy link'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,23 @@
+import React from 'react';
+
+// Catches anything the 3D scene throws while rendering (a renderer that
+// can't be created, a shader that won't compile) and shows `fallback` in its
+// place, so the rest of the page keeps working. onError(error) is told once.
+export default class SceneErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { failed: false };
+  }
+
+  static getDerivedStateFromError() {
+    return { failed: true };
+  }
+
+  componentDidCatch(error) {
+    this.props.onError?.(error);
+  }
+
+  render() {
+    return this.state.failed ? this.props.fallback : this.props.children;
+  }
+}
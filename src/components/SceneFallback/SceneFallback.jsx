@@ -0,0 +1,162 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { coordToKey, keyToX, keyToY } from '../../utils/dijkstra';
+import { topologyOf } from '../../utils/topology';
+import { overlayColor } from '../../utils/costOverlay';
+import { AGENT_STYLES } from '../agentStyles';
+import './SceneFallback.css';
+
+const PADDING = 1.1;                   // same margin as ResponsiveCamera's fit
+const CELL_FILL = 0.86;                // share of the cell spacing a cell covers
+const MAX_DPR = 2;
+const WEIGHT_MIN = 0.1;
+const WEIGHT_MAX = 25.0;
+const RESTING_LEVEL = 0.35;            // brightest resting cell, so highlights stand out
+const LINE_WIDTH = 2;
+
+// GraphVisualization's cube colours.
+const COLOR_WALL = '#27324a';
+const COLOR_VISITED = '#4a5d80';
+const COLOR_FRONTIER = '#ffb347';
+const COLOR_REPLANNED = '#ff5cf0';
+const COLOR_PATH = '#e8f4ff';
+const COLOR_CURRENT = '#ffffff';
+const COLOR_WAYPOINT = '#ffd54a';
+const COLOR_START = '#00ff00';
+const COLOR_END = '#ff0000';
+
+const grey = (level) => {
+  const v = Math.round(255 * Math.min(1, Math.max(0, level)));
+  return `rgb(${v}, ${v}, ${v})`;
+};
+
+// Resting colour of every cell: the overlay where it has a value, else
+// brighter for cheaper cells, or for higher ground on boards with heights.
+const restingColors = (graphData, overlay) => {
+  const { weights, walls, heights } = graphData;
+  let highest = 0;
+  if (heights) for (const h of heights) highest = Math.max(highest, h);
+  return Array.from(weights, (weight, key) => {
+    if (walls[key]) return COLOR_WALL;
+    const value = overlay?.values[key];
+    if (value >= 0) {
+      const [r, g, b] = overlayColor(value).map((c) => Math.round(c * 255));
+      return `rgb(${r}, ${g}, ${b})`;
+    }
+    if (heights) return grey(0.1 + (RESTING_LEVEL - 0.1) * (highest > 0 ? heights[key] / highest : 0));
+    const normalized = Math.min(1, Math.max(0, (weight - WEIGHT_MIN) / (WEIGHT_MAX - WEIGHT_MIN)));
+    return grey(0.08 + (RESTING_LEVEL - 0.08) * (1 - normalized));
+  });
+};
+
+// Flat 2D drawing of the same pathfinding state the 3D scene shows, for
+// browsers without WebGL or while a lost context is being restored. Cells
+// are drawn top-down in GraphVisualization's colours with the routes as
+// lines over them; props are GraphVisualization's. With `covering` set it
+// lies over the scene's canvas in place.
+export default function SceneFallback({
+  startPoint,
+  endPoint,
+  waypoints,
+  pathKeys,
+  graphData,
+  animationState,
+  isAnimating,
+  path,
+  overlay,
+  covering = false,
+}) {
+  const canvasRef = useRef(null);
+  const [size, setSize] = useState(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const observer = new ResizeObserver(([entry]) => {
+      const { width, height } = entry.contentRect;
+      setSize({ width, height });
+    });
+    observer.observe(canvas);
+    return () => observer.disconnect();
+  }, []);
+
+  const colors = useMemo(() => restingColors(graphData, overlay), [graphData, overlay]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!size) return;
+    const dpr = Math.min(MAX_DPR, window.devicePixelRatio || 1);
+    canvas.width = Math.round(size.width * dpr);
+    canvas.height = Math.round(size.height * dpr);
+    const context = canvas.getContext('2d');
+    context.setTransform(dpr, 0, 0, dpr, 0, 0);
+    context.fillStyle = '#000';
+    context.fillRect(0, 0, size.width, size.height);
+
+    const { gridWidth, gridHeight } = graphData;
+    const board = topologyOf(graphData.topology);
+    const [extentW, extentH] = board.extent(gridWidth, gridHeight);
+    const unit = Math.min(size.width / ((extentW + 1) * PADDING), size.height / ((extentH + 1) * PADDING));
+    const left = (size.width - extentW * unit) / 2;
+    const top = (size.height - extentH * unit) / 2;
+    // Layout y runs up the screen, as in the 3D view.
+    const toScreen = (px, py) => [left + px * unit, top + (extentH - py) * unit];
+    const centreOf = (key) => toScreen(...board.position(keyToX(key, gridWidth), keyToY(key, gridWidth)));
+    const side = unit * CELL_FILL;
+    const fillCell = (key, color) => {
+      const [x, y] = centreOf(key);
+      context.fillStyle = color;
+      context.fillRect(x - side / 2, y - side / 2, side, side);
+    };
+    const fillPoint = (point, color) => fillCell(coordToKey(point.x, point.y, gridWidth), color);
+
+    colors.forEach((color, key) => fillCell(key, color));
+
+    for (const key of animationState?.visited ?? []) fillCell(key, COLOR_VISITED);
+    for (const key of animationState?.frontier ?? []) fillCell(key, COLOR_FRONTIER);
+    for (const key of animationState?.replanned ?? []) fillCell(key, COLOR_REPLANNED);
+    const activePath = animationState?.currentPath;
+    if (activePath) {
+      for (const key of activePath) fillCell(key, COLOR_PATH);
+    } else if (!isAnimating && pathKeys) {
+      for (const key of pathKeys) fillCell(key, COLOR_PATH);
+    }
+    if (animationState?.current != null) fillCell(animationState.current, COLOR_CURRENT);
+
+    const agents = animationState?.agents?.slice(1) ?? [];
+    for (const agent of agents) {
+      const { color } = AGENT_STYLES[agent.id];
+      for (const key of agent.currentPath) fillCell(key, color);
+      fillPoint(agent.end, color);
+      if (!agent.arrived) fillCell(agent.current, COLOR_CURRENT);
+    }
+    for (const point of waypoints ?? []) fillPoint(point, COLOR_WAYPOINT);
+    if (startPoint) fillPoint(startPoint, COLOR_START);
+    const endKey = endPoint ? coordToKey(endPoint.x, endPoint.y, gridWidth) : -1;
+    if (!isAnimating && path?.length > 0 && path[path.length - 1] === endKey) fillCell(endKey, COLOR_END);
+
+    const strokeLine = (points, color) => {
+      if (points.length < 2) return;
+      context.strokeStyle = color;
+      context.lineWidth = LINE_WIDTH;
+      context.lineJoin = 'round';
+      context.beginPath();
+      points.forEach(([x, y], i) => (i === 0 ? context.moveTo(x, y) : context.lineTo(x, y)));
+      context.stroke();
+    };
+    const shape = animationState?.shape;
+    const leadKeys = activePath ?? (!isAnimating ? path : null) ?? [];
+    strokeLine(
+      shape && shape.points.length >= 2 ? shape.points.map(({ x, y }) => toScreen(x, y)) : leadKeys.map(centreOf),
+      COLOR_CURRENT
+    );
+    for (const agent of agents) strokeLine(agent.currentPath.map(centreOf), AGENT_STYLES[agent.id].color);
+  }, [size, colors, graphData, animationState, isAnimating, path, pathKeys, waypoints, startPoint, endPoint]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`scene-fallback${covering ? ' scene-fallback-covering' : ''}`}
+      role="img"
+      aria-label="Pathfinding animation, drawn in 2D"
+    />
+  );
+}
@@ -1,24 +1,29 @@
 import React, { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
+import { AGENT_STYLES } from './agentStyles';
+import {
+  DEFAULT_TRAIL_GLOW,
+  TORCH_Z,
+  TORCH_BASE_INTENSITY,
+  TORCH_DISTANCE,
+  TORCH_DECAY,
+  TORCH_COLOR,
+  TORCH_COLORS,
+  TRAIL_Z,
+  TRAIL_INTENSITY,
+  TRAIL_DISTANCE,
+  TRAIL_DECAY,
+  TRAIL_COLOR,
+  TRAIL_COLORS,
+  glowTracks,
+  torchIntensity,
+} from './trailGlow';
+import { groundHeight } from './groundHeight';
+import { topologyOf } from '../utils/topology';
 
 const SKIP = 2;
-const TORCH_Z = 5;
-const TRAIL_Z = 3.5;
 const ENDPOINT_Z = 2;
-
-const TORCH_COLOR = '#fff4e0';
-const TRAIL_COLOR = '#e8f4ff';
-
-const TORCH_BASE_INTENSITY = 24;
-const TORCH_PULSE_AMP = 3;
-const TORCH_PULSE_HZ = 0.2;
-const TORCH_DISTANCE = 36;
-const TORCH_DECAY = 1.6;
-
 const TRAIL_LIGHT_COUNT = 18;
-const TRAIL_INTENSITY = 13;
-const TRAIL_DISTANCE = 26;
-const TRAIL_DECAY = 1.4;
 
 const COMPLETION_DURATION_S = 3;
 const COMPLETION_PEAK_INTENSITY = 14;
@@ -33,80 +38,100 @@ const SceneLighting = ({
   graphData,
   gridWidth,
   gridHeight,
+  trailLightCount = TRAIL_LIGHT_COUNT,
+  trailGlow = DEFAULT_TRAIL_GLOW,
+  reducedMotion = false,
 }) => {
-  const halfW = useMemo(() => ((gridWidth - 1) * SKIP) / 2, [gridWidth]);
-  const halfH = useMemo(() => ((gridHeight - 1) * SKIP) / 2, [gridHeight]);
-
-  const torchRef = useRef();
+  const board = topologyOf(graphData.topology);
+  const [halfW, halfH] = useMemo(
+    () => board.extent(gridWidth, gridHeight).map((span) => (span * SKIP) / 2),
+    [board, gridWidth, gridHeight]
+  );
+  const { heights } = graphData;
+  // World position of cell (x, y) at height z over its ground, matching
+  // GraphVisualization.
+  const cellPosition = (x, y, z) => {
+    const [px, py] = board.position(x, y);
+    return [px * SKIP - halfW, py * SKIP - halfH, groundHeight(heights, y * gridWidth + x) + z];
+  };
+
+  const torchRefs = useRef([]);
   const completionRef = useRef();
   const trailRefs = useRef([]);
 
   useFrame(({ clock }) => {
     const t = clock.getElapsedTime();
 
-    // Torch at head: gentle pulse + follow latest node in current path
-    const activePath = animationState?.currentPath;
-    const headKey = activePath && activePath.length > 0
-      ? activePath[activePath.length - 1]
-      : null;
-    const headNode = headKey !== null ? graphData.nodes.get(headKey) : null;
+    const tracks = glowTracks(animationState, isAnimating, path);
 
-    if (torchRef.current) {
+    // Torch at each head: gentle pulse + follow the head node
+    const torches = torchRefs.current;
+    let torchesLit = 0;
+    for (let i = 0; i < torches.length; i++) {
+      const torch = torches[i];
+      if (!torch) continue;
+      const track = tracks[i];
+      const headNode = track && track.head != null ? graphData.nodes.get(track.head) : null;
       if (headNode) {
-        torchRef.current.visible = true;
-        torchRef.current.position.set(
-          headNode.x * SKIP - halfW,
-          headNode.y * SKIP - halfH,
-          TORCH_Z
-        );
-        torchRef.current.intensity =
-          TORCH_BASE_INTENSITY + Math.sin(t * Math.PI * 2 * TORCH_PULSE_HZ) * TORCH_PULSE_AMP;
+        torch.visible = true;
+        torch.color.copy(TORCH_COLORS[track.id]);
+        torch.position.set(...cellPosition(headNode.x, headNode.y, TORCH_Z));
+        torch.intensity = torchIntensity(t, i, reducedMotion);
+        torchesLit++;
       } else {
-        torchRef.current.visible = false;
+        torch.visible = false;
       }
     }
 
-    // Trail lights distributed along the visited path so the cubes behind
-    // the head stay lit. As the path grows the trail spreads naturally.
+    // Trail lights distributed along each visited path so the cubes behind
+    // the heads stay lit. The lights left in the budget are shared out by
+    // path length, remainder to the lead; as paths grow trails spread.
+    // Torches and trail lights lit at once are capped, however many agents
+    // there are: each agent's torch comes out of the trail lights' share.
     const trail = trailRefs.current;
-    const trailSource = activePath && activePath.length > 1
-      ? activePath
-      : (!isAnimating && path && path.length > 1 ? path : null);
-
-    if (trailSource) {
-      const lastIdx = trailSource.length - 1;
-      for (let i = 0; i < TRAIL_LIGHT_COUNT; i++) {
-        const light = trail[i];
-        if (!light) continue;
-        // Spread fractions 1/(N+1) … N/(N+1), e.g. .17, .33, .5, .67, .83
-        const fraction = (i + 1) / (TRAIL_LIGHT_COUNT + 1);
-        const sampleIdx = Math.round(fraction * lastIdx);
-        const node = graphData.nodes.get(trailSource[sampleIdx]);
-        if (node) {
-          light.visible = true;
-          light.position.set(
-            node.x * SKIP - halfW,
-            node.y * SKIP - halfH,
-            TRAIL_Z
-          );
-          // Subtle independent flicker per light so the trail feels alive
-          const flicker = 0.85 + 0.15 * Math.sin(t * 2.3 + i * 1.7);
-          light.intensity = TRAIL_INTENSITY * flicker;
-        } else {
-          light.visible = false;
+    const trailBudget = Math.min(trailLightCount, trailLightCount + 1 - Math.max(1, torchesLit));
+    let totalLength = 0;
+    for (const track of tracks) totalLength += track.trail && track.trail.length > 1 ? track.trail.length : 0;
+    let next = 0;
+    if (totalLength > 0) {
+      const shares = tracks.map((track) =>
+        track.trail && track.trail.length > 1 ? Math.floor(trailBudget * track.trail.length / totalLength) : 0);
+      const leadIndex = shares.findIndex((_, i) => tracks[i].trail && tracks[i].trail.length > 1);
+      shares[leadIndex] += trailBudget - shares.reduce((sum, n) => sum + n, 0);
+
+      tracks.forEach((track, trackIndex) => {
+        const share = shares[trackIndex];
+        if (share === 0) return;
+        const lastIdx = track.trail.length - 1;
+        for (let i = 0; i < share; i++) {
+          const light = trail[next++];
+          if (!light) continue;
+          // Spread fractions 1/(N+1) … N/(N+1), e.g. .17, .33, .5, .67, .83
+          const fraction = (i + 1) / (share + 1);
+          const sampleIdx = Math.round(fraction * lastIdx);
+          const node = graphData.nodes.get(track.trail[sampleIdx]);
+          if (node) {
+            light.visible = true;
+            light.color.copy(TRAIL_COLORS[track.id]);
+            light.position.set(...cellPosition(node.x, node.y, TRAIL_Z));
+            // Subtle independent flicker per light so the trail feels alive
+            const flicker = reducedMotion ? 1 : 0.85 + 0.15 * Math.sin(t * 2.3 + next * 1.7);
+            light.intensity = TRAIL_INTENSITY * flicker;
+          } else {
+            light.visible = false;
+          }
         }
-      }
-    } else {
-      for (let i = 0; i < TRAIL_LIGHT_COUNT; i++) {
-        if (trail[i]) trail[i].visible = false;
-      }
+      });
+    }
+    for (let i = next; i < trail.length; i++) {
+      if (trail[i]) trail[i].visible = false;
     }
 
-    // Completion buildup
+    // Completion buildup, or straight to full with reduced motion
     if (completionRef.current) {
       if (completionStartTime) {
         const elapsed = (Date.now() - completionStartTime) / 1000;
-        const p = Math.min(1, Math.max(0, elapsed / COMPLETION_DURATION_S));
+        const p = reducedMotion ? 1 : Math.min(1, Math.max(0, elapsed / COMPLETION_DURATION_S));
         const eased = p * p * (3 - 2 * p);
         completionRef.current.intensity = eased * COMPLETION_PEAK_INTENSITY;
       } else {
@@ -127,17 +152,22 @@ const SceneLighting = ({
         <meshStandardMaterial color="#0a0a0a" roughness={1} metalness={0} />
       </mesh>
 
-      <pointLight
-        ref={torchRef}
-        position={[0, 0, TORCH_Z]}
-        intensity={TORCH_BASE_INTENSITY}
-        distance={TORCH_DISTANCE}
-        decay={TORCH_DECAY}
-        color={TORCH_COLOR}
-        visible={false}
-      />
-
-      {Array.from({ length: TRAIL_LIGHT_COUNT }, (_, i) => (
+      {/* Torches and trail lights only light the 'lights' glow; the shader
+          glow draws them in GraphVisualization. */}
+      {trailGlow === 'lights' && AGENT_STYLES.map((_, i) => (
+        <pointLight
+          key={`torch-${i}`}
+          ref={(el) => { torchRefs.current[i] = el; }}
+          position={[0, 0, TORCH_Z]}
+          intensity={TORCH_BASE_INTENSITY}
+          distance={TORCH_DISTANCE}
+          decay={TORCH_DECAY}
+          color={TORCH_COLOR}
+          visible={false}
+        />
+      ))}
+
+      {trailGlow === 'lights' && Array.from({ length: trailLightCount }, (_, i) => (
         <pointLight
           key={`trail-${i}`}
           ref={(el) => { trailRefs.current[i] = el; }}
@@ -152,7 +182,7 @@ const SceneLighting = ({
 
       {startPoint && (
         <pointLight
-          position={[startPoint.x * SKIP - halfW, startPoint.y * SKIP - halfH, ENDPOINT_Z]}
+          position={cellPosition(startPoint.x, startPoint.y, ENDPOINT_Z)}
           intensity={10}
           distance={18}
           decay={1.4}
@@ -162,7 +192,7 @@ const SceneLighting = ({
 
       {endPoint && !isAnimating && path && path.length > 0 && (
         <pointLight
-          position={[endPoint.x * SKIP - halfW, endPoint.y * SKIP - halfH, ENDPOINT_Z]}
+          position={cellPosition(endPoint.x, endPoint.y, ENDPOINT_Z)}
           intensity={10}
           distance={18}
           decay={1.4}
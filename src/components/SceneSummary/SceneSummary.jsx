@@ -0,0 +1,30 @@
+import React from 'react';
+import './SceneSummary.css';
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+
+// One line on the finished route, e.g. "Route of 84 steps, cost 61.2,
+// 2 waypoints.", or an empty string while it is still being walked. pathCost
+// is the cost of `path` as walked; the cost is left out if it isn't finite.
+// stopNames, when the stops are named, lists them in visiting order.
+const describeRoute = ({ finished, path, pathCost, waypointCount, partial, agentCount, stopNames }) => {
+  if (!finished) return '';
+  if (path.length === 0) return 'No route between the start and the end.';
+  const parts = [`${partial ? 'Partial route' : 'Route'} of ${plural(path.length - 1, 'step')}`];
+  if (Number.isFinite(pathCost)) parts.push(`cost ${pathCost.toFixed(1)}`);
+  parts.push(plural(waypointCount, 'waypoint'));
+  if (agentCount > 1) parts.push(`${agentCount - 1} more ${agentCount === 2 ? 'agent' : 'agents'} sharing the grid`);
+  const visiting = stopNames?.length ? ` Visiting ${stopNames.join(', ')}.` : '';
+  return `${parts.join(', ')}.${partial ? ' It stops short of the end.' : ''}${visiting}`;
+};
+
+// Screen-reader summary of each cycle, read out politely as every route
+// finishes. Always mounted so the live region is in place before its first
+// update; the canvas points at it with aria-describedby.
+export default function SceneSummary({ id, ...route }) {
+  return (
+    <p id={id} className="scene-summary" role="status" aria-live="polite" aria-atomic="true">
+      {describeRoute(route)}
+    </p>
+  );
+}
@@ -0,0 +1,11 @@
+import React from 'react';
+import { Bloom } from '@react-three/postprocessing';
+import { useScrollProgress } from '../hooks/useScrollProgress';
+
+// Bloom that fades out as the page scrolls towards the portfolio. The fade
+// goes through the blend opacity, which Bloom applies in place; its other
+// props rebuild the effect when they change.
+export default function ScrollFadedBloom(props) {
+  const progress = useScrollProgress((scroll) => scroll.progress);
+  return <Bloom {...props} opacity={1 - progress} />;
+}
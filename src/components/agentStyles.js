@@ -0,0 +1,9 @@
+// Colours per agent id (see usePathfinding's agents), one entry per agent up
+// to MAX_AGENTS. Id 0 is the lead route: its cubes keep GraphVisualization's
+// own path colours and only its light colour is read from here.
+export const AGENT_STYLES = [
+  { color: '#e8f4ff', emissive: [2.2, 2.5, 3.1], head: [4.0, 4.0, 4.0] },
+  { color: '#4dd9ff', emissive: [0.3, 1.8, 2.6], head: [1.2, 3.6, 4.4] },
+  { color: '#ff8a3d', emissive: [2.6, 0.9, 0.15], head: [4.4, 2.0, 0.6] },
+  { color: '#b18cff', emissive: [1.4, 0.8, 2.8], head: [2.8, 2.0, 4.6] },
+];
@@ -0,0 +1,13 @@
+// Camera modes for ResponsiveCamera.
+//   flat     head-on over the grid, with a slow dolly
+//   tilted   leaned back so cube heights read
+//   orbit    starts tilted, then drag to orbit (damped, within limits)
+//   chase    follows the lead head from behind, turning with the route
+export const CAMERA_MODES = {
+  flat: { label: 'Top-down' },
+  tilted: { label: 'Tilted' },
+  orbit: { label: 'Orbit' },
+  chase: { label: 'Follow head' },
+};
+
+export const DEFAULT_CAMERA_MODE = 'flat';
@@ -0,0 +1,8 @@
+const SKIP = 2;
+export const COLUMN_BASE = 0.4;        // world height of the lowest column
+
+// World height of the ground under cell `key`. Flat boards (heights null)
+// sit at 0; on boards with heights (see edgeCostFor) each cell is a column
+// COLUMN_BASE tall plus its height, scaled SKIP world units per layout unit
+// like the cell spacing.
+export const groundHeight = (heights, key) => (heights ? COLUMN_BASE + heights[key] * SKIP : 0);
@@ -0,0 +1,207 @@
+import * as THREE from 'three';
+import { AGENT_STYLES } from './agentStyles';
+import { topologyOf } from '../utils/topology';
+
+// Trail and torch glow. Each head carries a torch and the trail behind it
+// stays lit. 'lights' does this with moving point lights (SceneLighting),
+// which MeshStandardMaterial pays for in every fragment of every cube;
+// 'shader' works the same falloff out once per vertex in the cube shader
+// (GraphVisualization), from uniform head positions and a per-instance record
+// of which trail cell lights each cube, how far along it sits and since when.
+// Torches and trail lights hang TORCH_Z and TRAIL_Z above the ground under
+// their cell (see groundHeight).
+export const TRAIL_GLOWS = {
+  shader: { label: 'Shader glow' },
+  lights: { label: 'Point lights' },
+};
+
+export const DEFAULT_TRAIL_GLOW = 'shader';
+
+export const TORCH_Z = 5;
+export const TORCH_BASE_INTENSITY = 24;
+export const TORCH_DISTANCE = 36;
+export const TORCH_DECAY = 1.6;
+const TORCH_PULSE_AMP = 3;
+const TORCH_PULSE_HZ = 0.2;
+
+export const TRAIL_Z = 3.5;
+export const TRAIL_INTENSITY = 13;
+export const TRAIL_DISTANCE = 26;
+export const TRAIL_DECAY = 1.4;
+
+export const TORCH_COLOR = '#fff4e0';
+export const TRAIL_COLOR = '#e8f4ff';
+export const TORCH_COLORS = AGENT_STYLES.map(({ color }, id) => new THREE.Color(id === 0 ? TORCH_COLOR : color));
+export const TRAIL_COLORS = AGENT_STYLES.map(({ color }, id) => new THREE.Color(id === 0 ? TRAIL_COLOR : color));
+
+const SPILL_RINGS = 4;                 // cells beyond the trail its glow reaches in the shader
+const TRAIL_FADE_S = 0.4;              // a newly lit trail cell's glow fades in over this
+
+// Torch `i`'s intensity at `t` seconds: a gentle pulse, out of step per
+// torch, or steady for reduced motion.
+export const torchIntensity = (t, i, steady = false) =>
+  TORCH_BASE_INTENSITY + (steady ? 0 : Math.sin(t * Math.PI * 2 * TORCH_PULSE_HZ + i) * TORCH_PULSE_AMP);
+
+// One track per agent: its head and the path behind it. Without agent
+// state, the lead route alone (the finished path once animation stops).
+export const glowTracks = (animationState, isAnimating, path) => {
+  if (animationState?.agents?.length) {
+    return animationState.agents.map(({ id, current, currentPath }) => ({ id, head: current, trail: currentPath }));
+  }
+  const activePath = animationState?.currentPath;
+  const trail = activePath && activePath.length > 1
+    ? activePath
+    : (!isAnimating && path && path.length > 1 ? path : null);
+  const head = activePath && activePath.length > 0 ? activePath[activePath.length - 1] : null;
+  return [{ id: 0, head, trail }];
+};
+
+// uGlowSteady 1 drops the trail flicker and fade-in, for reduced motion.
+export const createGlowUniforms = () => ({
+  uGlowTime: { value: 0 },
+  uGlowSteady: { value: 0 },
+  uTorches: { value: AGENT_STYLES.map(() => new THREE.Vector4()) },   // world xyz, w = intensity
+  uTorchColors: { value: TORCH_COLORS },
+  uTrailColors: { value: TRAIL_COLORS },
+});
+
+// Adds the glow to a MeshStandardMaterial shader (from onBeforeCompile) for
+// an InstancedMesh with instanceTrail and instanceTrailSource attributes (see
+// writeTrailGlow). The falloff is three's own point-light falloff, lit from
+// the light's side as a point light would, and added to the emissive
+// radiance tinted by the cube's albedo.
+export const injectTrailGlow = (shader, uniforms) => {
+  Object.assign(shader.uniforms, uniforms);
+  const f = (value) => value.toFixed(4);
+  shader.vertexShader = shader.vertexShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       #define GLOW_AGENTS ${AGENT_STYLES.length}
+       attribute vec3 instanceTrail;
+       attribute vec3 instanceTrailSource;
+       uniform float uGlowTime;
+       uniform float uGlowSteady;
+       uniform vec4 uTorches[GLOW_AGENTS];
+       uniform vec3 uTorchColors[GLOW_AGENTS];
+       uniform vec3 uTrailColors[GLOW_AGENTS];
+       varying vec3 vTrailGlow;
+       float glowFalloff(float d, float cutoff, float decay) {
+         return pow2(saturate(1.0 - pow4(d / cutoff))) / max(pow(d, decay), 0.01);
+       }
+       float glowLight(vec3 toLight, vec3 normal, float cutoff, float decay) {
+         float d = length(toLight);
+         return glowFalloff(d, cutoff, decay) * saturate(dot(normal, toLight / max(d, 1e-4)));
+       }`
+    )
+    .replace(
+      '#include <begin_vertex>',
+      `#include <begin_vertex>
+       vec3 glowWorld = (modelMatrix * instanceMatrix * vec4(transformed, 1.0)).xyz;
+       vec3 glowNormal = normalize(mat3(modelMatrix) * objectNormal);
+       vec3 glow = vec3(0.0);
+       for (int i = 0; i < GLOW_AGENTS; i++) {
+         glow += uTorchColors[i] * uTorches[i].w *
+           glowLight(uTorches[i].xyz - glowWorld, glowNormal, ${f(TORCH_DISTANCE)}, ${f(TORCH_DECAY)});
+       }
+       if (instanceTrail.x >= 0.0) {
+         float flicker = mix(0.85 + 0.15 * sin(uGlowTime * 2.3 + instanceTrail.y * 1.7), 1.0, uGlowSteady);
+         float fadeIn = max(uGlowSteady, saturate((uGlowTime - instanceTrail.x) / ${f(TRAIL_FADE_S)}));
+         vec3 toTrail = instanceTrailSource - glowWorld;
+         glow += uTrailColors[int(instanceTrail.z)] * ${f(TRAIL_INTENSITY)} * flicker * fadeIn *
+           glowLight(toTrail, glowNormal, ${f(TRAIL_DISTANCE)}, ${f(TRAIL_DECAY)});
+       }
+       vTrailGlow = glow * RECIPROCAL_PI;`
+    );
+  shader.fragmentShader = shader.fragmentShader
+    .replace(
+      '#include <common>',
+      `#include <common>
+       varying vec3 vTrailGlow;`
+    )
+    .replace(
+      '#include <emissivemap_fragment>',
+      `#include <emissivemap_fragment>
+       totalEmissiveRadiance += vTrailGlow * diffuseColor.rgb;`
+    );
+};
+
+const sameOwner = (a, b) => a.key === b.key && a.time === b.time && a.step === b.step && a.id === b.id;
+
+// Fills the per-instance trail attributes for `tracks`: `trail` (3 per
+// instance: time lit or -1 when dark, steps along the track, agent id) and
+// `source` (3 per instance: world position of the light over the trail cell
+// lighting it, TRAIL_Z above groundAt(key)). Trail cells light themselves and
+// their glow spills SPILL_RINGS cells further, each cube taking the nearest
+// trail cell (the earlier track's on ties). `litAt` maps trail keys to the
+// time they lit. `written` is the owners map the previous call returned for
+// these same arrays, so only cubes whose owner changed are rewritten; null
+// rewrites every cube. Returns { lit, owners, from, to }: the updated litAt,
+// the owners to pass back as `written`, and the span [from, to) of array
+// indices it touched (empty when from >= to).
+export const writeTrailGlow = ({ tracks, litAt, written, now, graph, keyToIndex, cellCentre, groundAt, trail, source }) => {
+  const { nodes, gridWidth, gridHeight } = graph;
+  const { neighbors, maxNeighbors } = topologyOf(graph.topology);
+  const lit = new Map();
+  const owners = new Map();   // key -> trail cell lighting it
+  let ring = [];
+  for (const { id, trail: keys } of tracks) {
+    if (!keys || keys.length < 2) continue;
+    keys.forEach((key, step) => {
+      if (owners.has(key)) return;
+      const time = litAt.get(key) ?? now;
+      lit.set(key, time);
+      owners.set(key, { key, time, step, id });
+      ring.push(key);
+    });
+  }
+
+  const out = new Int32Array(maxNeighbors);
+  for (let r = 0; r < SPILL_RINGS && ring.length > 0; r++) {
+    const next = [];
+    for (const key of ring) {
+      const n = neighbors(key, gridWidth, gridHeight, null, out);
+      for (let i = 0; i < n; i++) {
+        if (owners.has(out[i])) continue;
+        owners.set(out[i], owners.get(key));
+        next.push(out[i]);
+      }
+    }
+    ring = next;
+  }
+
+  let from = Infinity;
+  let to = -Infinity;
+  const touch = (idx) => {
+    from = Math.min(from, idx * 3);
+    to = Math.max(to, idx * 3 + 3);
+  };
+  if (written) {
+    for (const key of written.keys()) {
+      const idx = keyToIndex.get(key);
+      if (owners.has(key) || idx === undefined) continue;
+      trail[idx * 3] = -1;
+      touch(idx);
+    }
+  } else {
+    for (let i = 0; i < trail.length; i += 3) trail[i] = -1;
+    from = 0;
+    to = trail.length;
+  }
+  for (const [key, owner] of owners) {
+    const previous = written?.get(key);
+    if (previous && sameOwner(previous, owner)) continue;
+    const idx = keyToIndex.get(key);
+    const node = nodes.get(owner.key);
+    if (idx === undefined || !node) continue;
+    const [x, y] = cellCentre(node.x, node.y);
+    trail[idx * 3] = owner.time;
+    trail[idx * 3 + 1] = owner.step;
+    trail[idx * 3 + 2] = owner.id;
+    source[idx * 3] = x;
+    source[idx * 3 + 1] = y;
+    source[idx * 3 + 2] = groundAt(owner.key) + TRAIL_Z;
+    touch(idx);
+  }
+  return { lit, owners, from, to };
+};
@@ -0,0 +1,87 @@
+import { useState, useRef, useCallback } from 'react';
+import { QUALITY_TIERS, QUALITY_TIER_ORDER } from '../utils/qualityTiers';
+
+const SLOW_FRAME_MS = 1000 / 45;       // mean frame time that counts against a tier
+const FAST_FRAME_MS = 1000 / 55;       // ...and that earns the next one up
+const DOWNGRADE_WINDOWS = 2;           // consecutive slow windows before stepping down
+const UPGRADE_WINDOWS = 6;             // consecutive fast windows before stepping up
+const SETTLE_WINDOWS = 2;              // windows ignored after a change (shader compiles, grid rebuild)
+const PROBATION_WINDOWS = 10;          // dropping a tier this soon after reaching it rules it out
+
+// Moves the monitor to tier `index` with fresh counters; returns its key.
+const moveTo = (monitor, index) => {
+  monitor.index = index;
+  monitor.slow = 0;
+  monitor.fast = 0;
+  monitor.settle = SETTLE_WINDOWS;
+  monitor.sinceChange = 0;
+  return QUALITY_TIER_ORDER[index];
+};
+
+// Picks a QUALITY_TIERS entry from PerformanceMonitor samples (pass
+// reportSample as its onSample). Steps down after a few slow windows and up
+// after a longer run of fast ones; a tier that proves too slow straight after
+// an upgrade becomes the ceiling, so the quality doesn't oscillate. pinned
+// (a tier key, or null for automatic) overrides the choice for debugging.
+// The latest sample is kept outside React state, so only a component that
+// reads it re-renders with every window: pass subscribeStats and getStats to
+// useSyncExternalStore.
+export const useAdaptiveQuality = (initialTier) => {
+  const [tierKey, setTierKey] = useState(initialTier);
+  const [pinned, setPinnedState] = useState(null);
+  const statsRef = useRef({ sample: null, listeners: new Set() });
+  const monitorRef = useRef({
+    index: QUALITY_TIER_ORDER.indexOf(initialTier),
+    ceiling: QUALITY_TIER_ORDER.length - 1,
+    slow: 0,
+    fast: 0,
+    settle: SETTLE_WINDOWS,
+    sinceChange: 0,
+    pinned: null,
+  });
+
+  const reportSample = useCallback((sample) => {
+    const stats = statsRef.current;
+    stats.sample = sample;
+    stats.listeners.forEach((listener) => listener());
+    const monitor = monitorRef.current;
+    if (monitor.pinned) return;
+    if (monitor.settle > 0) {
+      monitor.settle--;
+      return;
+    }
+    monitor.sinceChange++;
+
+    if (sample.frameMs > SLOW_FRAME_MS) {
+      monitor.fast = 0;
+      if (++monitor.slow < DOWNGRADE_WINDOWS || monitor.index === 0) return;
+      if (monitor.sinceChange <= PROBATION_WINDOWS) monitor.ceiling = monitor.index - 1;
+      setTierKey(moveTo(monitor, monitor.index - 1));
+    } else if (sample.frameMs < FAST_FRAME_MS) {
+      monitor.slow = 0;
+      if (++monitor.fast < UPGRADE_WINDOWS || monitor.index >= monitor.ceiling) return;
+      setTierKey(moveTo(monitor, monitor.index + 1));
+    } else {
+      monitor.slow = 0;
+      monitor.fast = 0;
+    }
+  }, []);
+
+  const setPinned = useCallback((key) => {
+    const monitor = monitorRef.current;
+    monitor.pinned = key;
+    setPinnedState(key);
+    // Back to automatic from wherever the pin left off, with a clean slate.
+    setTierKey(moveTo(monitor, key ? QUALITY_TIER_ORDER.indexOf(key) : monitor.index));
+    if (!key) monitor.ceiling = QUALITY_TIER_ORDER.length - 1;
+  }, []);
+
+  const subscribeStats = useCallback((listener) => {
+    const { listeners } = statsRef.current;
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, []);
+  const getStats = useCallback(() => statsRef.current.sample, []);
+
+  return { tierKey, tier: QUALITY_TIERS[tierKey], pinned, setPinned, subscribeStats, getStats, reportSample };
+};
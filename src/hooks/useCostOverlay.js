@@ -0,0 +1,54 @@
+import { useEffect, useRef, useState } from 'react';
+import { createPathfindingClient } from '../utils/pathfindingClient';
+import { DEFAULT_COST_OVERLAY } from '../utils/costOverlay';
+
+// The cost overlay (see costOverlay.js) for `graphData` and its start/end
+// points, worked out by a pathfinding worker of its own so the distance
+// floods never hold up a frame or the cycle planner. It is recomputed only
+// when a field it reads changes, not on every new graph object, and the
+// previous overlay stays up until the next one arrives, as long as it is
+// of the same mode and board size. null for 'none' or while there is none.
+export const useCostOverlay = (mode, graphData, start, end) => {
+  const clientRef = useRef(null);
+  const [overlay, setOverlay] = useState(null);
+  const { weights, walls, heights, gridWidth, gridHeight, topology } = graphData;
+  const startX = start?.x;
+  const startY = start?.y;
+  const endX = end?.x;
+  const endY = end?.y;
+
+  useEffect(() => {
+    const client = createPathfindingClient();
+    clientRef.current = client;
+    return () => {
+      client.dispose();
+      clientRef.current = null;
+    };
+  }, []);
+
+  useEffect(() => {
+    const client = clientRef.current;
+    if (mode === DEFAULT_COST_OVERLAY || !client) {
+      setOverlay(null);
+      return;
+    }
+    let cancelled = false;
+    client.costOverlay({
+      mode,
+      graph: { weights, walls, heights, gridWidth, gridHeight, topology },
+      stops: {
+        start: startX === undefined ? null : { x: startX, y: startY },
+        end: endX === undefined ? null : { x: endX, y: endY },
+      },
+    })
+      .then((result) => {
+        if (!cancelled) setOverlay(result);
+      })
+      .catch(() => {
+        // Disposed mid-request; a newer request or unmount has taken over.
+      });
+    return () => { cancelled = true; };
+  }, [mode, weights, walls, heights, gridWidth, gridHeight, topology, startX, startY, endX, endY]);
+
+  return overlay?.mode === mode && overlay.values.length === gridWidth * gridHeight ? overlay : null;
+};
@@ -1,95 +1,154 @@
 import { useState, useCallback, useEffect, useRef, useMemo } from 'react';
-import { generateGraphStructure, findShortestGraphPath, coordToKey } from '../utils/dijkstra';
+import { generateGraphStructure, coordToKey, withWeights } from '../utils/dijkstra';
+import { DEFAULT_ALGORITHM, DEFAULT_NODE_BUDGET, SEARCH_STATUS, supportsTopology } from '../utils/searchAlgorithms';
+import { createPathfindingClient } from '../utils/pathfindingClient';
+import { buildWaypointPath } from '../utils/cyclePlanner';
+import { applyBrush, placeStop, stopKeys } from '../utils/gridEditing';
+import { createRng } from '../utils/random';
+import { resolveScene, nextSceneSeed, randomSeed } from '../utils/scene';
+import { sceneToFile, sceneFromFile } from '../utils/sceneFile';
+import { TERRAIN_GENERATORS } from '../utils/terrain';
+import { DEFAULT_TOPOLOGY } from '../utils/topology';
+import { DStarLite } from '../utils/dstarLite';
+import { routeAgents, reservationsFor } from '../utils/cooperativeRouting';
+import { DEFAULT_PATH_STYLE, smoothPath, smoothedPointsTo } from '../utils/pathSmoothing';
 
 const ANIMATION_SPEED_MS = 8;          // ~125 steps/sec
+const EXPLORATION_TICKS = 120;         // ticks spent replaying the search frontier
 const COMPLETION_HOLD_MS = 1000;       // pause on completed path
-const MIN_PATH_DISTANCE = 50;          // minimum Manhattan distance between endpoints
-const MAX_PLACEMENT_ATTEMPTS = 100;    // attempts to pick endpoints
-const MAX_RETRY_CYCLES = 5;            // stop infinite recursion if no path
-const MAX_WAYPOINTS = 2;               // up to N interior waypoints per path
-const WAYPOINT_INSET = 3;              // keep waypoints away from grid edge
-const WAYPOINT_MIN_SEPARATION = 10;    // Manhattan distance between waypoints/endpoints
-const WAYPOINT_SAMPLE_ATTEMPTS = 40;
-
-const sampleEdgePoint = (gridWidth, gridHeight) => {
-  const side = Math.floor(Math.random() * 4);
-  if (side === 0) return { x: Math.floor(Math.random() * gridWidth), y: 0 };
-  if (side === 1) return { x: Math.floor(Math.random() * gridWidth), y: gridHeight - 1 };
-  if (side === 2) return { x: 0, y: Math.floor(Math.random() * gridHeight) };
-  return { x: gridWidth - 1, y: Math.floor(Math.random() * gridHeight) };
-};
+const REDUCED_MOTION_HOLD_MS = 12000;  // same with reduced motion, where each scene appears whole
+const MAX_RETRY_CYCLES = 5;            // failed cycles before accepting a partial path
+const RETRY_DELAY_MS = 100;
+const RECOVERY_DELAY_MS = 1000;        // retry spacing once partial paths are allowed
+const SCENE_HISTORY_LIMIT = 12;        // scenes kept for stepping back
+const ALL_TERRAINS = Object.keys(TERRAIN_GENERATORS);
+const DRIFT_INTERVAL_MS = 250;         // living terrain: time between weight updates
+const DRIFT_STEP = 0.04;               // noise time advanced per update
+const DRIFT_SENSE_THRESHOLD = 0.15;    // weight change the replanner reacts to
+export const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4];
 
-const sampleAnyPoint = (gridWidth, gridHeight) => ({
-  x: Math.floor(Math.random() * gridWidth),
-  y: Math.floor(Math.random() * gridHeight),
-});
+// How long a finished route stays up before the next scene.
+const holdMs = (reducedMotion) => (reducedMotion ? REDUCED_MOTION_HOLD_MS : COMPLETION_HOLD_MS);
 
-const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+// Tick at which the last of `routes` (and the lead's `steps`) arrives.
+const lastTickOf = (steps, routes) =>
+  routes.reduce((last, agent) => Math.max(last, agent.path.length - 1), steps.length - 1);
 
-const pickEndpoints = (gridWidth, gridHeight) => {
-  for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
-    const useEdge = attempt < MAX_PLACEMENT_ATTEMPTS * 0.8;
-    const start = useEdge ? sampleEdgePoint(gridWidth, gridHeight) : sampleAnyPoint(gridWidth, gridHeight);
-    const end = useEdge ? sampleEdgePoint(gridWidth, gridHeight) : sampleAnyPoint(gridWidth, gridHeight);
-    if (manhattan(start, end) >= MIN_PATH_DISTANCE) return { start, end };
-  }
+// Per-agent state at `tick`, `lead` ({ start, end, path }) first. An agent
+// that has arrived has left the grid: current stays its goal, with arrived set.
+const agentsAt = (lead, routes, tick) => [lead, ...routes].map(({ start, end, path }, id) => {
+  const index = Math.min(tick, path.length - 1);
   return {
-    start: { x: 0, y: 0 },
-    end: { x: gridWidth - 1, y: gridHeight - 1 },
-  };
-};
-
-const sampleInteriorPoint = (gridWidth, gridHeight) => {
-  const insetW = Math.max(0, gridWidth - 2 * WAYPOINT_INSET);
-  const insetH = Math.max(0, gridHeight - 2 * WAYPOINT_INSET);
-  return {
-    x: WAYPOINT_INSET + Math.floor(Math.random() * insetW),
-    y: WAYPOINT_INSET + Math.floor(Math.random() * insetH),
+    id,
+    start,
+    end,
+    path,
+    current: path[index],
+    currentPath: path.slice(0, index + 1),
+    arrived: tick >= path.length - 1,
   };
-};
-
-const pickWaypoints = (start, end, gridWidth, gridHeight) => {
-  const count = Math.floor(Math.random() * (MAX_WAYPOINTS + 1)); // 0..MAX_WAYPOINTS
-  if (count === 0) return [];
-
-  const taken = [start, end];
-  const waypoints = [];
-  let attempts = 0;
-  while (waypoints.length < count && attempts < WAYPOINT_SAMPLE_ATTEMPTS) {
-    attempts++;
-    const candidate = sampleInteriorPoint(gridWidth, gridHeight);
-    let ok = true;
-    for (const p of taken) {
-      if (manhattan(p, candidate) < WAYPOINT_MIN_SEPARATION) { ok = false; break; }
-    }
-    if (ok) {
-      waypoints.push(candidate);
-      taken.push(candidate);
-    }
-  }
-  return waypoints;
-};
-
-const buildWaypointPath = (start, end, gridWidth, gridHeight, graph) => {
-  const waypoints = pickWaypoints(start, end, gridWidth, gridHeight);
-  const stops = [start, ...waypoints, end];
-  const fullPath = [];
-
-  for (let i = 0; i < stops.length - 1; i++) {
-    const fromKey = coordToKey(stops[i].x, stops[i].y, gridWidth);
-    const toKey = coordToKey(stops[i + 1].x, stops[i + 1].y, gridWidth);
-    const segment = findShortestGraphPath(fromKey, toKey, graph);
-    if (!segment.pathExists || segment.path.length === 0) return null;
-    if (i === 0) fullPath.push(...segment.path);
-    else fullPath.push(...segment.path.slice(1));
-  }
-  return fullPath;
-};
+});
 
-export const usePathfinding = (gridWidth, gridHeight) => {
-  const [graphData, setGraphData] = useState(() =>
-    generateGraphStructure(gridWidth, gridHeight, 42, 1.0 + Math.random() * 5.0)
-  );
+// Options: algorithm (a SEARCH_ALGORITHMS key), strict (admissible heuristic,
+// optimal paths at the cost of more expansions), nodeBudget and timeBudgetMs
+// (per-segment search limits). searchStatus reports the last cycle's
+// SEARCH_STATUS; after MAX_RETRY_CYCLES failures in a row the hook animates
+// the best partial route (isPartialPath) and keeps retrying. waypointOrdering
+// is the route's { order, cost, exact } from orderWaypoints: the visiting
+// order as indices into waypoints and the optimal cost of that tour.
+//
+// Graph generation and solving run in the pathfinding worker. While a path
+// animates, the next cycle is already being planned, so the handoff only has
+// to swap in a finished result.
+//
+// Each cycle plays a scene (see scene.js). initialScene, a partial scene such
+// as one decoded from the URL, seeds the first cycle; later scene seeds come
+// from an RNG seeded by it, so a shared seed replays the whole sequence.
+// sceneHistory keeps the last SCENE_HISTORY_LIMIT scenes and playScene
+// replays any of them. terrains lists the TERRAIN_GENERATORS keys new scenes
+// rotate between; pass a stable array.
+//
+// With livingTerrain, terrains that drift (TERRAIN_GENERATORS[…].drifts) keep
+// changing while the head walks the route. The head replans its current
+// segment incrementally with D* Lite; animationState.replanned holds the
+// cells of the latest replanned stretch and replanStats counts the work.
+//
+// agentCount (up to MAX_AGENTS) adds agents that share the grid with the
+// lead route, routed by cooperative A* so no two agents hold the same cell at
+// the same tick; arrived agents leave the grid. All agents take one step per
+// tick, and `agents` holds each one's { id, start, end, path, current,
+// currentPath, arrived } for the current tick, the lead route first. Living
+// terrain only replans the lead, and drops a replan that would run into
+// another agent.
+//
+// pathStyle (a PATH_STYLES key) picks how the lead route is drawn. Besides
+// 'grid', animationState.shape carries { style, points }: the any-angle
+// smoothed route up to the head, in grid coordinates, which 'curve' draws as
+// a Catmull-Rom spline. The cube highlights always follow the grid path.
+//
+// topology (a TOPOLOGIES key) is the board new scenes are played on; replayed
+// scenes keep their own. A search algorithm that can't handle a scene's
+// board (SEARCH_ALGORITHMS[…].topologies) gives way to DEFAULT_ALGORITHM.
+//
+// Playback: setPaused holds the animation (and, on a finished route, the
+// move to the next scene); stepForward/stepBack move one tick and pause;
+// seek(tick) jumps to any tick of the current route, skipping the search
+// replay; speed (one of PLAYBACK_SPEEDS, a multiplier) sets the pace and
+// playNextScene moves on straight away. playback is { step, lastStep } for a
+// scrubber, ticks counted as in `agents`.
+//
+// With reducedMotion every cycle skips the search replay and the walk and
+// shows its route finished, held for REDUCED_MOTION_HOLD_MS before the next
+// scene; stepping and seeking still work. Turning it on mid-cycle finishes
+// the current route.
+//
+// While not `visible` (the scene scrolled out of view) the animation and the
+// move to the next scene hold as if paused, without touching `paused`.
+//
+// stopCount (see resolveScene) gives every new scene exactly that many stops,
+// start and end included; changing it moves on to such a scene straight away.
+//
+// exportScene returns the shown scene as a scene file (see sceneFile.js),
+// edits included, and importScene plays one; it throws on a malformed file.
+//
+// In edit mode (setEditMode) the auto-cycle pauses and the current route is
+// shown finished. editStop and paintCells apply gridEditing tools to the
+// shown graph and re-solve on the spot; leaving edit mode resumes cycling.
+export const usePathfinding = (gridWidth, gridHeight, {
+  algorithm = DEFAULT_ALGORITHM,
+  strict = false,
+  nodeBudget = DEFAULT_NODE_BUDGET,
+  timeBudgetMs,
+  initialScene = null,
+  terrains = ALL_TERRAINS,
+  livingTerrain = false,
+  agentCount = 1,
+  pathStyle = DEFAULT_PATH_STYLE,
+  topology = DEFAULT_TOPOLOGY,
+  reducedMotion = false,
+  visible = true,
+  stopCount = null,
+} = {}) => {
+  // The first scene is drawn up front, along with the RNG later scene seeds
+  // come from, so first paint can show its terrain.
+  const [{ firstScene, seedRng }] = useState(() => {
+    const rng = createRng(initialScene?.seed ?? randomSeed());
+    const partial = initialScene ?? { seed: nextSceneSeed(rng) };
+    return {
+      firstScene: resolveScene(partial, gridWidth, gridHeight, { terrains, agentCount, topology, stopCount }),
+      seedRng: rng,
+    };
+  });
+  // First paint only, from the first scene's seed so a seed or a shared link
+  // reproduces it; every later graph comes from the worker.
+  const [graphData, setGraphData] = useState(() => generateGraphStructure(
+    firstScene.gridWidth,
+    firstScene.gridHeight,
+    firstScene.seed,
+    firstScene.detail,
+    firstScene.terrain,
+    firstScene.topology
+  ));
   const [startPoint, setStartPoint] = useState(null);
   const [endPoint, setEndPoint] = useState(null);
   const [path, setPath] = useState([]);
@@ -98,56 +157,304 @@ export const usePathfinding = (gridWidth, gridHeight) => {
   const [animationState, setAnimationState] = useState(null);
   const [cycleCount, setCycleCount] = useState(0);
   const [completionStartTime, setCompletionStartTime] = useState(null);
+  const [searchStats, setSearchStats] = useState(null);
+  const [searchStatus, setSearchStatus] = useState(null);
+  const [isPartialPath, setIsPartialPath] = useState(false);
+  const [scene, setScene] = useState(null);
+  const [sceneHistory, setSceneHistory] = useState({ scenes: [], index: -1 });
+  const [waypoints, setWaypoints] = useState([]);
+  const [waypointOrdering, setWaypointOrdering] = useState(null);
+  const [editMode, setEditModeState] = useState(false);
+  const [replanStats, setReplanStats] = useState(null);
+  const [paused, setPausedState] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  const [playback, setPlayback] = useState({ step: 0, lastStep: 0 });
 
   const animationStepsRef = useRef([]);
+  const explorationRef = useRef({ expansionOrder: [], frontierSnapshots: [] });
+  const exploredCountRef = useRef(0);
+  const snapshotIndexRef = useRef(-1);
   const stepIndexRef = useRef(0);
   const lastTickRef = useRef(0);
   const retryCountRef = useRef(0);
   const initialCycleStarted = useRef(false);
+  const clientRef = useRef(null);
+  const prefetchRef = useRef(null);      // { generation, scene, promise } for the next cycle
+  const generationRef = useRef(0);       // bumped whenever cycle parameters change
+  const cycleTimerRef = useRef(null);
+  const pendingInitialSceneRef = useRef(firstScene);
+  const graphRef = useRef(graphData);   // graph currently shown, for edits
+  const stopsRef = useRef(null);        // { start, end, waypoints } currently shown
+  const editModeRef = useRef(false);
+  const livingRef = useRef(null);       // living-terrain replanning state for this cycle
+  const replannedRef = useRef([]);
+  const agentRoutesRef = useRef([]);    // further agents' timed routes this cycle
+  const cornersRef = useRef(null);      // smoothPath corners of animationStepsRef's path, null until a style needs them
+  const pausedRef = useRef(false);
+  const completedRef = useRef(false);   // the shown route is finished (phase 'complete')
+  const reducedMotionRef = useRef(reducedMotion);
+  const visibleRef = useRef(visible);
+  const stopCountRef = useRef(stopCount);
+  const completeCycleRef = useRef(null);  // completeCycle, for startNewCycle which it calls back
 
-  // Regenerate graph when grid size changes
-  const gridSig = useMemo(() => `${gridWidth}x${gridHeight}`, [gridWidth, gridHeight]);
   useEffect(() => {
-    setGraphData(generateGraphStructure(gridWidth, gridHeight, 42, 1.0 + Math.random() * 5.0));
-  }, [gridSig, gridWidth, gridHeight]);
+    const client = createPathfindingClient();
+    clientRef.current = client;
+    return () => {
+      client.dispose();
+      clientRef.current = null;
+      clearTimeout(cycleTimerRef.current);
+    };
+  }, []);
 
-  const startNewCycle = useCallback(() => {
-    const { start, end } = pickEndpoints(gridWidth, gridHeight);
-    const newSeed = Math.floor(Math.random() * 1000) + 1;
-    const newDetail = 1.0 + Math.random() * 5.0;
-    const newGraph = generateGraphStructure(gridWidth, gridHeight, newSeed, newDetail);
+  // The initial scene once, then scenes from the seeded sequence.
+  const nextScene = useCallback(() => {
+    const partial = pendingInitialSceneRef.current ?? { seed: nextSceneSeed(seedRng) };
+    pendingInitialSceneRef.current = null;
+    return resolveScene(partial, gridWidth, gridHeight, { terrains, agentCount, topology, stopCount });
+  }, [seedRng, gridWidth, gridHeight, terrains, agentCount, topology, stopCount]);
 
-    const fullPath = buildWaypointPath(start, end, gridWidth, gridHeight, newGraph);
+  const searchOptions = useMemo(() => ({
+    algorithm,
+    strict,
+    maxNodes: nodeBudget,
+    maxTimeMs: timeBudgetMs,
+  }), [algorithm, strict, nodeBudget, timeBudgetMs]);
 
-    if (!fullPath || fullPath.length === 0) {
-      if (retryCountRef.current < MAX_RETRY_CYCLES) {
-        retryCountRef.current++;
-        setTimeout(startNewCycle, 100);
-      }
-      return;
+  // searchOptions for a board of `boardTopology`.
+  const searchOptionsFor = useCallback((boardTopology) => (supportsTopology(algorithm, boardTopology)
+    ? searchOptions
+    : { ...searchOptions, algorithm: DEFAULT_ALGORITHM }), [algorithm, searchOptions]);
+
+  // Lead route shape up to steps[headIndex]; null for grid steps. The
+  // line-of-sight pass runs here, once per route, and only for styles that
+  // draw it.
+  const shapeAt = useCallback((steps, headIndex) => {
+    if (pathStyle === DEFAULT_PATH_STYLE) return null;
+    const graph = graphRef.current;
+    cornersRef.current ??= smoothPath(animationStepsRef.current, graph);
+    return {
+      style: pathStyle,
+      points: smoothedPointsTo(steps, cornersRef.current, headIndex, graph.gridWidth, graph.topology),
+    };
+  }, [pathStyle]);
+
+  const requestCycle = useCallback((cycleScene, allowPartial) => {
+    const client = clientRef.current;
+    if (!client) return Promise.reject(new Error('Pathfinding client not ready'));
+    return client.planCycle({
+      scene: cycleScene,
+      searchOptions: { ...searchOptionsFor(cycleScene.topology), allowPartial },
+    });
+  }, [searchOptionsFor]);
+
+  // Any prefetched cycle was planned with the old parameters.
+  useEffect(() => {
+    generationRef.current++;
+    prefetchRef.current = null;
+  }, [requestCycle, nextScene]);
+
+  // Plays `replayScene` if given, else the prefetched or a fresh next scene.
+  const startNewCycle = useCallback((replayScene) => {
+    clearTimeout(cycleTimerRef.current);
+    if (editModeRef.current) return;
+    const generation = generationRef.current;
+    const outOfRetries = retryCountRef.current >= MAX_RETRY_CYCLES;
+    const prefetched = prefetchRef.current;
+    let cycleScene;
+    let pending;
+    if (replayScene) {
+      cycleScene = replayScene;
+      pending = requestCycle(cycleScene, outOfRetries);
+    } else if (prefetched && prefetched.generation === generation) {
+      prefetchRef.current = null;
+      cycleScene = prefetched.scene;
+      pending = prefetched.promise;
+    } else {
+      cycleScene = nextScene();
+      pending = requestCycle(cycleScene, outOfRetries);
     }
 
-    retryCountRef.current = 0;
-    setCycleCount((n) => n + 1);
-    setGraphData(newGraph);
-    setStartPoint(start);
-    setEndPoint(end);
-    setPath([]);
-    setPathKeys(new Set());
-    setCompletionStartTime(null);
+    const retry = () => {
+      retryCountRef.current++;
+      cycleTimerRef.current = setTimeout(() => startNewCycle(), outOfRetries ? RECOVERY_DELAY_MS : RETRY_DELAY_MS);
+    };
+
+    pending.then(({ graph, scene: planned, result }) => {
+      if (generation !== generationRef.current) return;
+      setSearchStatus(result.status);
+
+      const usable = result.status === SEARCH_STATUS.FOUND || (result.partial && result.path.length > 1);
+      if (!usable) {
+        retry();
+        return;
+      }
+
+      const fullPath = result.path;
+      retryCountRef.current = 0;
+      setIsPartialPath(result.partial);
+      setSearchStats(result.stats);
+      setWaypointOrdering(result.ordering);
+      setCycleCount((n) => n + 1);
+      setGraphData(graph);
+      graphRef.current = graph;
+      stopsRef.current = { start: planned.start, end: planned.end, waypoints: planned.waypoints, agents: planned.agents };
+      agentRoutesRef.current = result.agents.filter((agent) => agent.path.length > 0);
+
+      // Segment goals in visiting order, for replanning on living terrain.
+      const toKey = (p) => coordToKey(p.x, p.y, graph.gridWidth);
+      const targets = [...result.ordering.order.map((i) => planned.waypoints[i]), planned.end].map(toKey);
+      const firstTargetPos = fullPath.indexOf(targets[0]);
+      // Saved graphs have no terrain to drift.
+      livingRef.current = result.partial || firstTargetPos < 0 || planned.savedGraph ? null : {
+        scene: planned,
+        targets,
+        targetIndex: 0,
+        targetPos: firstTargetPos,
+        planner: null,
+        reservations: agentRoutesRef.current.length > 0 ? reservationsFor(agentRoutesRef.current, graph) : null,
+        time: 0,
+        lastDrift: 0,
+        replans: 0,
+        nodesExpanded: 0,
+      };
+      replannedRef.current = [];
+      setReplanStats(null);
+      setScene(cycleScene);
+      setSceneHistory(({ scenes }) => {
+        const replayed = scenes.indexOf(cycleScene);
+        if (replayed >= 0) return { scenes, index: replayed };
+        const next = [...scenes, cycleScene].slice(-SCENE_HISTORY_LIMIT);
+        return { scenes: next, index: next.length - 1 };
+      });
+      // The planner may have moved stops off walls.
+      setStartPoint(planned.start);
+      setEndPoint(planned.end);
+      setWaypoints(planned.waypoints);
+      setPath([]);
+      setPathKeys(new Set());
+      setCompletionStartTime(null);
+
+      animationStepsRef.current = fullPath;
+      cornersRef.current = null;
+      explorationRef.current = result.exploration;
+      exploredCountRef.current = 0;
+      snapshotIndexRef.current = -1;
+      stepIndexRef.current = 0;
+      lastTickRef.current = 0;
+      completedRef.current = false;
+      setPlayback({ step: 0, lastStep: lastTickOf(fullPath, agentRoutesRef.current) });
 
-    animationStepsRef.current = fullPath;
-    stepIndexRef.current = 0;
-    lastTickRef.current = 0;
+      // Phases run 'exploration' -> 'path' -> 'complete'.
+      setAnimationState({
+        phase: 'exploration',
+        active: true,
+        current: undefined,
+        currentPath: [],
+        visited: [],
+        frontier: [],
+        completed: false,
+      });
+      setIsAnimating(true);
+      if (reducedMotionRef.current) completeCycleRef.current();
 
+      // Plan the next cycle while this one animates.
+      if (!prefetchRef.current) {
+        const nextCycleScene = nextScene();
+        const next = requestCycle(nextCycleScene, false);
+        next.catch(() => {});
+        prefetchRef.current = { generation, scene: nextCycleScene, promise: next };
+      }
+    }).catch(() => {
+      if (generation === generationRef.current && clientRef.current) retry();
+    });
+  }, [requestCycle, nextScene]);
+
+  // A new stop count plays a scene with that many stops straight away.
+  useEffect(() => {
+    if (stopCount === stopCountRef.current) return;
+    stopCountRef.current = stopCount;
+    startNewCycle();
+  }, [stopCount, startNewCycle]);
+
+  const playScene = useCallback((target) => startNewCycle(target), [startNewCycle]);
+
+  // Solves `stops` on `graph` right here and shows the finished route.
+  const showSolved = useCallback((graph, stops) => {
+    const result = buildWaypointPath(
+      [stops.start, ...stops.waypoints, stops.end],
+      graph,
+      { ...searchOptionsFor(graph.topology), allowPartial: true }
+    );
+    const routes = routeAgents(result.path, stops.agents ?? [], graph).filter((agent) => agent.path.length > 0);
+    const lastTick = lastTickOf(result.path, routes);
+    graphRef.current = graph;
+    completedRef.current = true;
+    stepIndexRef.current = lastTick;
+    stopsRef.current = stops;
+    agentRoutesRef.current = routes;
+    animationStepsRef.current = result.path;
+    cornersRef.current = null;
+    livingRef.current = null;
+    setGraphData(graph);
+    setStartPoint(stops.start);
+    setEndPoint(stops.end);
+    setWaypoints(stops.waypoints);
+    setSearchStatus(result.status);
+    setSearchStats(result.stats);
+    setWaypointOrdering(result.ordering);
+    setIsPartialPath(result.partial);
+    setIsAnimating(false);
+    setPath(result.path);
+    setPathKeys(new Set(result.path));
+    setCompletionStartTime(Date.now());
     setAnimationState({
-      active: true,
-      current: fullPath[0],
-      currentPath: [fullPath[0]],
-      completed: false,
+      phase: 'complete',
+      active: false,
+      current: result.path[result.path.length - 1],
+      currentPath: result.path,
+      visited: [],
+      frontier: [],
+      agents: agentsAt({ ...stops, path: result.path }, routes, lastTick),
+      shape: shapeAt(result.path, result.path.length - 1),
+      completed: true,
     });
-    setIsAnimating(true);
-  }, [gridWidth, gridHeight]);
+    setPlayback({ step: lastTick, lastStep: lastTick });
+  }, [searchOptionsFor, shapeAt]);
+
+  const setEditMode = useCallback((enabled) => {
+    editModeRef.current = enabled;
+    setEditModeState(enabled);
+    clearTimeout(cycleTimerRef.current);
+    if (enabled) {
+      // Drop anything in flight so it can't replace the graph being edited.
+      generationRef.current++;
+      prefetchRef.current = null;
+      if (stopsRef.current) showSolved(graphRef.current, stopsRef.current);
+    } else {
+      cycleTimerRef.current = setTimeout(() => startNewCycle(), COMPLETION_HOLD_MS);
+    }
+  }, [showSolved, startNewCycle]);
+
+  // tool is a stop tool from EDIT_TOOLS ('start', 'end' or 'waypoint').
+  const editStop = useCallback((tool, key) => {
+    if (!editModeRef.current || !stopsRef.current) return;
+    const stops = placeStop(stopsRef.current, tool, key, graphRef.current);
+    if (stops !== stopsRef.current) showSolved(graphRef.current, stops);
+  }, [showSolved]);
+
+  // brush is a brush tool from EDIT_TOOLS; the route's stops are never painted.
+  const paintCells = useCallback((keys, brush) => {
+    if (!editModeRef.current || !stopsRef.current) return;
+    const graph = graphRef.current;
+    const next = applyBrush(graph, keys, brush, stopKeys(stopsRef.current, graph.gridWidth));
+    if (next !== graph) showSolved(next, stopsRef.current);
+  }, [showSolved]);
+
+  // Search options changed while editing: re-solve the edited graph.
+  useEffect(() => {
+    if (editModeRef.current && stopsRef.current) showSolved(graphRef.current, stopsRef.current);
+  }, [showSolved]);
 
   // Kick off first cycle once
   useEffect(() => {
@@ -159,56 +466,296 @@ export const usePathfinding = (gridWidth, gridHeight) => {
     return () => clearTimeout(timer);
   }, [startNewCycle]);
 
+  // Grid size or search options changed: replan straight away.
+  const gridSig = useMemo(() => `${gridWidth}x${gridHeight}`, [gridWidth, gridHeight]);
+  useEffect(() => {
+    if (initialCycleStarted.current) startNewCycle();
+  }, [gridSig, startNewCycle]);
+
+  // Takes drifted `weights` into the graph and repairs the rest of the
+  // head's current segment, if it is still on one.
+  const replanOnWeights = useCallback((living, weights) => {
+    const steps = animationStepsRef.current;
+    const headIndex = stepIndexRef.current;
+    const head = steps[headIndex];
+    const graph = withWeights(graphRef.current, weights);
+    graphRef.current = graph;
+    setGraphData(graph);
+    if (headIndex >= living.targetPos) return;
+
+    const goal = living.targets[living.targetIndex];
+    if (!living.planner) {
+      living.planner = new DStarLite(graph, head, goal, { strict });
+    } else {
+      living.planner.moveTo(head);
+      living.planner.updateGraph(weights, graph.walls, DRIFT_SENSE_THRESHOLD);
+    }
+    living.nodesExpanded += living.planner.computePath();
+    const section = living.planner.path();
+    if (section.length === 0) return;
+
+    const previous = steps.slice(headIndex, living.targetPos + 1);
+    const unchanged = previous.length === section.length && previous.every((key, i) => key === section[i]);
+    if (unchanged) return;
+
+    const ahead = [...section, ...steps.slice(living.targetPos + 1)];
+    if (living.reservations?.conflicts(ahead, headIndex)) return;
+
+    const previousKeys = new Set(previous);
+    animationStepsRef.current = [...steps.slice(0, headIndex), ...ahead];
+    cornersRef.current = null;
+    living.targetPos = headIndex + section.length - 1;
+    living.replans++;
+    replannedRef.current = section.filter((key) => !previousKeys.has(key));
+    setReplanStats({ replans: living.replans, nodesExpanded: living.nodesExpanded });
+  }, [strict]);
+
+  // Living terrain: advances the terrain's time, has the worker work out the
+  // drifted weights and, once they arrive, takes them in and lets D* Lite
+  // repair the head's current segment. Runs from the animation tick during
+  // the path phase, one drift in flight at a time.
+  const driftAndReplan = useCallback(() => {
+    const living = livingRef.current;
+    const client = clientRef.current;
+    if (!living || living.drifting || !client) return;
+    const { targets } = living;
+    const steps = animationStepsRef.current;
+    const headIndex = stepIndexRef.current;
+
+    // Move on to the next segment once the head reaches its goal.
+    while (headIndex >= living.targetPos && living.targetIndex < targets.length - 1) {
+      living.targetIndex++;
+      living.targetPos = steps.indexOf(targets[living.targetIndex], headIndex);
+      living.planner = null;
+      if (living.targetPos < 0) {
+        livingRef.current = null;
+        return;
+      }
+    }
+    if (headIndex >= living.targetPos) return;
+
+    living.time += DRIFT_STEP;
+    living.drifting = true;
+    client.driftWeights({ scene: living.scene, time: living.time }).then((weights) => {
+      living.drifting = false;
+      if (livingRef.current === living) replanOnWeights(living, weights);
+    }, () => {
+      living.drifting = false;
+    });
+  }, [replanOnWeights]);
+
+  // Shows every agent `tick` steps along its route.
+  const showTick = useCallback((tick) => {
+    const steps = animationStepsRef.current;
+    const routes = agentRoutesRef.current;
+    const headIndex = Math.min(tick, steps.length - 1);
+    stepIndexRef.current = tick;
+    setAnimationState({
+      phase: 'path',
+      active: true,
+      current: steps[headIndex],
+      currentPath: steps.slice(0, headIndex + 1),
+      visited: explorationRef.current.expansionOrder,
+      frontier: [],
+      replanned: replannedRef.current,
+      agents: agentsAt({ ...stopsRef.current, path: steps }, routes, tick),
+      shape: shapeAt(steps, headIndex),
+      completed: false,
+    });
+    setPlayback({ step: tick, lastStep: lastTickOf(steps, routes) });
+  }, [shapeAt]);
+
+  // Every agent has arrived: lock in the completed path and, unless paused,
+  // schedule the next cycle.
+  const completeCycle = useCallback(() => {
+    const finalPath = animationStepsRef.current.slice();
+    const routes = agentRoutesRef.current;
+    const lastTick = lastTickOf(finalPath, routes);
+    completedRef.current = true;
+    stepIndexRef.current = lastTick;
+    setIsAnimating(false);
+    setAnimationState({
+      phase: 'complete',
+      active: false,
+      current: finalPath[finalPath.length - 1],
+      currentPath: finalPath,
+      visited: [],
+      frontier: [],
+      agents: agentsAt({ ...stopsRef.current, path: finalPath }, routes, lastTick),
+      shape: shapeAt(finalPath, finalPath.length - 1),
+      completed: true,
+    });
+    setPath(finalPath);
+    setPathKeys(new Set(finalPath));
+    setCompletionStartTime(Date.now());
+    setPlayback({ step: lastTick, lastStep: lastTick });
+    if (!pausedRef.current && visibleRef.current) {
+      cycleTimerRef.current = setTimeout(() => startNewCycle(), holdMs(reducedMotionRef.current));
+    }
+  }, [shapeAt, startNewCycle]);
+  completeCycleRef.current = completeCycle;
+
+  // Switching reduced motion on finishes the route being animated.
+  useEffect(() => {
+    if (reducedMotion === reducedMotionRef.current) return;
+    reducedMotionRef.current = reducedMotion;
+    if (reducedMotion && !completedRef.current && !editModeRef.current && animationStepsRef.current.length > 0) {
+      completeCycle();
+    }
+  }, [reducedMotion, completeCycle]);
+
+  // Off-screen, a finished route waits to come back into view before moving on.
+  useEffect(() => {
+    if (visible === visibleRef.current) return;
+    visibleRef.current = visible;
+    if (!completedRef.current || editModeRef.current || pausedRef.current) return;
+    clearTimeout(cycleTimerRef.current);
+    if (visible) cycleTimerRef.current = setTimeout(() => startNewCycle(), holdMs(reducedMotionRef.current));
+  }, [visible, startNewCycle]);
+
   // rAF-driven animation progression
   useEffect(() => {
-    if (!isAnimating) return;
+    if (!isAnimating || paused || !visible) return;
     let frameId;
+    // Below 1x ticks come further apart; above it each tick moves further.
+    const interval = ANIMATION_SPEED_MS / Math.min(1, speed);
+    const stride = Math.max(1, Math.round(speed));
 
     const tick = (now) => {
-      if (now - lastTickRef.current < ANIMATION_SPEED_MS) {
+      if (now - lastTickRef.current < interval) {
         frameId = requestAnimationFrame(tick);
         return;
       }
       lastTickRef.current = now;
 
-      const steps = animationStepsRef.current;
-      const nextIndex = stepIndexRef.current + 1;
-
-      if (nextIndex >= steps.length) {
-        // Final step reached: lock in the completed path and schedule next cycle
-        const finalPath = steps.slice();
-        setIsAnimating(false);
-        setAnimationState({
-          active: false,
-          current: finalPath[finalPath.length - 1],
-          currentPath: finalPath,
-          completed: true,
-        });
-        setPath(finalPath);
-        setPathKeys(new Set(finalPath));
-        setCompletionStartTime(Date.now());
-        setTimeout(startNewCycle, COMPLETION_HOLD_MS);
+      const { expansionOrder, frontierSnapshots } = explorationRef.current;
+
+      // Exploration phase: replay the search's expansion order in batches,
+      // showing the open set from the latest snapshot taken before that point.
+      if (exploredCountRef.current < expansionOrder.length) {
+        const batch = Math.max(1, Math.ceil(expansionOrder.length / EXPLORATION_TICKS)) * stride;
+        const explored = Math.min(expansionOrder.length, exploredCountRef.current + batch);
+        exploredCountRef.current = explored;
+        while (
+          snapshotIndexRef.current + 1 < frontierSnapshots.length &&
+          frontierSnapshots[snapshotIndexRef.current + 1].step <= explored
+        ) {
+          snapshotIndexRef.current++;
+        }
+
+        if (explored < expansionOrder.length) {
+          setAnimationState({
+            phase: 'exploration',
+            active: true,
+            current: undefined,
+            currentPath: [],
+            visited: expansionOrder.slice(0, explored),
+            frontier: frontierSnapshots[snapshotIndexRef.current]?.keys ?? [],
+            completed: false,
+          });
+        } else {
+          showTick(0);
+        }
+        frameId = requestAnimationFrame(tick);
         return;
       }
 
-      stepIndexRef.current = nextIndex;
-      const currentPath = steps.slice(0, nextIndex + 1);
-      setAnimationState({
-        active: true,
-        current: steps[nextIndex],
-        currentPath,
-        completed: false,
-      });
+      const living = livingRef.current;
+      if (livingTerrain && living && TERRAIN_GENERATORS[living.scene.terrain].drifts &&
+          now - living.lastDrift >= DRIFT_INTERVAL_MS) {
+        living.lastDrift = now;
+        driftAndReplan();
+      }
+
+      const lastTick = lastTickOf(animationStepsRef.current, agentRoutesRef.current);
+      if (stepIndexRef.current >= lastTick) {
+        completeCycle();
+        return;
+      }
+      showTick(Math.min(stepIndexRef.current + stride, lastTick));
       frameId = requestAnimationFrame(tick);
     };
 
     frameId = requestAnimationFrame(tick);
     return () => cancelAnimationFrame(frameId);
-  }, [isAnimating, startNewCycle]);
+  }, [isAnimating, paused, visible, speed, livingTerrain, driftAndReplan, showTick, completeCycle]);
+
+  const setPaused = useCallback((value) => {
+    pausedRef.current = value;
+    setPausedState(value);
+    // A finished route waits for resume before moving on.
+    if (!completedRef.current || editModeRef.current) return;
+    clearTimeout(cycleTimerRef.current);
+    if (!value && visibleRef.current) {
+      cycleTimerRef.current = setTimeout(() => startNewCycle(), holdMs(reducedMotionRef.current));
+    }
+  }, [startNewCycle]);
+
+  // Jumps to path tick `tick` of the current route, skipping whatever is
+  // left of the search replay. Works on a finished route too, reopening it.
+  const seek = useCallback((tick) => {
+    const steps = animationStepsRef.current;
+    if (editModeRef.current || steps.length === 0) return;
+    const { expansionOrder, frontierSnapshots } = explorationRef.current;
+    exploredCountRef.current = expansionOrder.length;
+    snapshotIndexRef.current = frontierSnapshots.length - 1;
+    if (completedRef.current) {
+      clearTimeout(cycleTimerRef.current);
+      completedRef.current = false;
+      setPath([]);
+      setPathKeys(new Set());
+      setCompletionStartTime(null);
+      setIsAnimating(true);
+    }
+    // Living terrain finds its segment again from the new head position.
+    const living = livingRef.current;
+    if (living) {
+      living.targetIndex = 0;
+      living.targetPos = steps.indexOf(living.targets[0]);
+      living.planner = null;
+    }
+    showTick(Math.max(0, Math.min(lastTickOf(steps, agentRoutesRef.current), Math.round(tick))));
+  }, [showTick]);
+
+  const stepForward = useCallback(() => {
+    setPaused(true);
+    if (editModeRef.current || completedRef.current) return;
+    const steps = animationStepsRef.current;
+    if (exploredCountRef.current < explorationRef.current.expansionOrder.length) seek(0);
+    else if (stepIndexRef.current >= lastTickOf(steps, agentRoutesRef.current)) completeCycle();
+    else seek(stepIndexRef.current + 1);
+  }, [setPaused, seek, completeCycle]);
+
+  const stepBack = useCallback(() => {
+    setPaused(true);
+    seek(stepIndexRef.current - 1);
+  }, [setPaused, seek]);
+
+  const playNextScene = useCallback(() => startNewCycle(), [startNewCycle]);
+
+  const exportScene = useCallback(() => (scene && stopsRef.current
+    ? sceneToFile(scene, graphRef.current, stopsRef.current, animationStepsRef.current)
+    : null), [scene]);
+
+  const importScene = useCallback((data) => {
+    const loaded = sceneFromFile(data);
+    editModeRef.current = false;
+    setEditModeState(false);
+    startNewCycle(loaded);
+  }, [startNewCycle]);
+
+  // Path style changed on a finished route: reshape it in place.
+  useEffect(() => {
+    setAnimationState((state) => (state?.completed
+      ? { ...state, shape: shapeAt(state.currentPath, state.currentPath.length - 1) }
+      : state));
+  }, [shapeAt]);
 
   return {
     startPoint,
     endPoint,
+    waypoints,
+    waypointOrdering,
     path,
     pathKeys,
     animationState,
@@ -216,6 +763,30 @@ export const usePathfinding = (gridWidth, gridHeight) => {
     cycleCount,
     completionStartTime,
     graphData,
+    searchStats,
+    searchStatus,
+    isPartialPath,
+    replanStats,
+    agents: animationState?.agents ?? [],
+    scene,
+    sceneHistory: sceneHistory.scenes,
+    historyIndex: sceneHistory.index,
+    playScene,
+    playNextScene,
+    exportScene,
+    importScene,
+    paused,
+    setPaused,
+    stepForward,
+    stepBack,
+    seek,
+    speed,
+    setSpeed,
+    playback,
+    editMode,
+    setEditMode,
+    editStop,
+    paintCells,
     startNewCycle,
   };
 };
@@ -0,0 +1,47 @@
+import { useEffect, useMemo, useState } from 'react';
+import { getProjects } from '../api/helper';
+import { findDominantColor } from '../utils/dominantColor';
+
+const DEFAULT_LANDMARK_COLOR = 'rgb(255, 255, 255)';
+
+// Portfolio companies as scene landmarks, loaded once `enabled`: every one
+// of getProjects' companies, fund by fund, each as { name, website, twitter,
+// image, stage, fund, color } with color the dominant colour of its logo
+// (white until that loads). null while disabled, until the list arrives or
+// when it fails to. All of them become stops; past orderWaypoints' exact
+// limit the route is ordered heuristically rather than any being left out.
+export const usePortfolioLandmarks = (enabled) => {
+  const [companies, setCompanies] = useState(null);
+  const [colors, setColors] = useState({});
+
+  useEffect(() => {
+    if (!enabled || companies) return;
+    let cancelled = false;
+    getProjects()
+      .then((projects) => {
+        if (cancelled) return;
+        setCompanies(Object.entries(projects)
+          .flatMap(([fund, entries]) => entries.map((company) => ({ ...company, fund }))));
+      })
+      .catch(() => {
+        // No landmarks; the scene carries on with random stops.
+      });
+    return () => { cancelled = true; };
+  }, [enabled, companies]);
+
+  useEffect(() => {
+    if (!companies) return;
+    let cancelled = false;
+    for (const { image } of companies) {
+      if (!image) continue;
+      findDominantColor(image).then((rgb) => {
+        if (rgb && !cancelled) setColors((previous) => ({ ...previous, [image]: `rgb(${rgb})` }));
+      });
+    }
+    return () => { cancelled = true; };
+  }, [companies]);
+
+  return useMemo(() => (enabled && companies
+    ? companies.map((company) => ({ ...company, color: colors[company.image] ?? DEFAULT_LANDMARK_COLOR }))
+    : null), [enabled, companies, colors]);
+};
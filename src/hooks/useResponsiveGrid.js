@@ -10,13 +10,14 @@ const MAX_DIM = 50;
 const WIDE_BOOST = 1.2;
 const WIDE_CAP = 60;
 
-const getDimensions = (width, height) => {
+// `scale` shrinks the grid below what fits the viewport (quality tiers).
+const getDimensions = (width, height, scale) => {
   const aspectRatio = width / height;
   const visibleHeight = 2 * Math.tan(FOV_RAD / 2) * BASE_CAMERA_DISTANCE * VIEWPORT_COVERAGE;
   const visibleWidth = visibleHeight * aspectRatio;
 
-  let gridWidth = Math.max(MIN_DIM, Math.min(MAX_DIM, Math.floor(visibleWidth / SKIP)));
-  let gridHeight = Math.max(MIN_DIM, Math.min(MAX_DIM, Math.floor(visibleHeight / SKIP)));
+  let gridWidth = Math.max(MIN_DIM, Math.min(MAX_DIM, Math.floor((visibleWidth / SKIP) * scale)));
+  let gridHeight = Math.max(MIN_DIM, Math.min(MAX_DIM, Math.floor((visibleHeight / SKIP) * scale)));
 
   if (aspectRatio > 1.5) {
     gridWidth = Math.min(WIDE_CAP, Math.floor(gridWidth * WIDE_BOOST));
@@ -27,7 +28,7 @@ const getDimensions = (width, height) => {
   return { gridWidth, gridHeight, totalNodes: gridWidth * gridHeight };
 };
 
-export const useResponsiveGrid = () => {
+export const useResponsiveGrid = (scale = 1) => {
   const [windowSize, setWindowSize] = useState(() => ({
     width: window.innerWidth,
     height: window.innerHeight,
@@ -42,8 +43,8 @@ export const useResponsiveGrid = () => {
   }, []);
 
   const dimensions = useMemo(
-    () => getDimensions(windowSize.width, windowSize.height),
-    [windowSize.width, windowSize.height]
+    () => getDimensions(windowSize.width, windowSize.height, scale),
+    [windowSize.width, windowSize.height, scale]
   );
 
   return { windowSize, ...dimensions };
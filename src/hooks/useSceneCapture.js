@@ -0,0 +1,131 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+const PNG_SCALE = 2;                   // still size as a multiple of the canvas's CSS size
+const PNG_SUPERSAMPLE = 2;             // rendered at this multiple again, then downsampled
+const MAX_CAPTURE_SIDE = 8192;         // cap on the supersampled render's longer side
+const RECORD_FPS = 60;
+const RECORD_BITRATE = 12_000_000;
+const RECORD_TAIL_MS = 2000;           // keep recording into the completion glow
+const RECORD_LIMIT_MS = 120_000;       // stop a recording that never sees its cycle finish
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const DOWNLOAD_REVOKE_MS = 10_000;
+
+const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_REVOKE_MS);
+};
+
+const recordingType = () => {
+  if (typeof MediaRecorder === 'undefined' || typeof HTMLCanvasElement === 'undefined' ||
+      !HTMLCanvasElement.prototype.captureStream) return null;
+  return WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+};
+
+// Stills, loops and data files of the home canvas. Pass attach as the
+// Canvas's onCreated (or call it from there) and composerRef as the
+// EffectComposer's ref, if one is mounted.
+//   savePng        renders the current frame at PNG_SCALE times the canvas
+//                  size, supersampled, post-processing included
+//   recordCycle    moves on to the next scene and records it to WebM until
+//                  it completes (canRecord says whether the browser can)
+//   saveSceneFile  downloads exportScene()'s scene file as JSON
+// Files are named after `scene`'s seed.
+export const useSceneCapture = ({ scene, completionStartTime, playNextScene, paused, setPaused, exportScene }) => {
+  const getStateRef = useRef(null);
+  const composerRef = useRef(null);
+  const recorderRef = useRef(null);   // { recorder, startedAt, stopTimer }
+  const [recording, setRecording] = useState(false);
+  const [canRecord] = useState(() => recordingType() !== null);
+  const fileStem = `pathfinder-${scene?.seed ?? 'scene'}`;
+  const fileStemRef = useRef(fileStem);
+  fileStemRef.current = fileStem;
+
+  const attach = useCallback((state) => {
+    getStateRef.current = state.get;
+  }, []);
+
+  const savePng = useCallback(() => {
+    const get = getStateRef.current;
+    if (!get) return;
+    const { gl, scene: root, camera, size } = get();
+    const composer = composerRef.current;
+    const previous = gl.getPixelRatio();
+    const maxSide = Math.min(gl.capabilities.maxTextureSize, MAX_CAPTURE_SIDE);
+    const ratio = Math.min(PNG_SCALE * PNG_SUPERSAMPLE, maxSide / Math.max(size.width, size.height));
+
+    // Render one oversized frame and copy it out before the browser clears it.
+    gl.setPixelRatio(ratio);
+    composer?.setSize(size.width, size.height);
+    if (composer) composer.render(0);
+    else gl.render(root, camera);
+    const still = document.createElement('canvas');
+    const outScale = Math.max(1, ratio / PNG_SUPERSAMPLE);
+    still.width = Math.round(size.width * outScale);
+    still.height = Math.round(size.height * outScale);
+    const context = still.getContext('2d');
+    context.imageSmoothingEnabled = true;
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(gl.domElement, 0, 0, still.width, still.height);
+    gl.setPixelRatio(previous);
+    composer?.setSize(size.width, size.height);
+
+    still.toBlob((blob) => {
+      if (blob) download(blob, `${fileStemRef.current}.png`);
+    }, 'image/png');
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    const active = recorderRef.current;
+    if (!active) return;
+    clearTimeout(active.stopTimer);
+    recorderRef.current = null;
+    if (active.recorder.state !== 'inactive') active.recorder.stop();
+  }, []);
+
+  const recordCycle = useCallback(() => {
+    const get = getStateRef.current;
+    const mimeType = recordingType();
+    if (!get || !mimeType || recorderRef.current) return;
+    const stream = get().gl.domElement.captureStream(RECORD_FPS);
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: RECORD_BITRATE });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => {
+      for (const track of stream.getTracks()) track.stop();
+      setRecording(false);
+      if (chunks.length > 0) download(new Blob(chunks, { type: 'video/webm' }), `${fileStemRef.current}.webm`);
+    };
+    recorderRef.current = {
+      recorder,
+      startedAt: Date.now(),
+      stopTimer: setTimeout(stopRecording, RECORD_LIMIT_MS),
+    };
+    recorder.start(1000);
+    setRecording(true);
+    if (paused) setPaused(false);
+    playNextScene();
+  }, [paused, setPaused, playNextScene, stopRecording]);
+
+  // The recorded cycle finished: let the completion glow play, then stop.
+  useEffect(() => {
+    const active = recorderRef.current;
+    if (!active || !completionStartTime || completionStartTime < active.startedAt) return;
+    clearTimeout(active.stopTimer);
+    active.stopTimer = setTimeout(stopRecording, RECORD_TAIL_MS);
+  }, [completionStartTime, stopRecording]);
+
+  useEffect(() => () => stopRecording(), [stopRecording]);
+
+  const saveSceneFile = useCallback(() => {
+    const data = exportScene();
+    if (data) download(new Blob([JSON.stringify(data)], { type: 'application/json' }), `${fileStemRef.current}.json`);
+  }, [exportScene]);
+
+  return { attach, composerRef, savePng, recording, canRecord, recordCycle, stopRecording, saveSceneFile };
+};
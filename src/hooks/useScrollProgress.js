@@ -0,0 +1,57 @@
+import { useSyncExternalStore } from 'react';
+
+const SCROLLED_PX = 50;                // past this the page counts as scrolled
+const PORTFOLIO_ID = 'portfolio';
+const PORTFOLIO_ARRIVAL = 0.5;         // progress reaches 1 with #portfolio's top this far down the viewport
+
+// Page scroll, measured at most once a frame by a single listener however
+// many components read it:
+//   scrollY       window.scrollY
+//   scrolled      past the first SCROLLED_PX
+//   progress      0 at the top of the page, 1 once #portfolio has scrolled
+//                 up to PORTFOLIO_ARRIVAL of the viewport
+//   heroVisible   any of the first viewport (where the scene sits) still shows
+let state = { scrollY: 0, scrolled: false, progress: 0, heroVisible: true };
+const listeners = new Set();
+let frameId = null;
+
+const measure = () => {
+  frameId = null;
+  const scrollY = window.scrollY;
+  const viewportHeight = window.innerHeight;
+  const portfolio = document.getElementById(PORTFOLIO_ID);
+  const portfolioTop = portfolio ? portfolio.getBoundingClientRect().top + scrollY : viewportHeight;
+  const span = Math.max(1, portfolioTop - viewportHeight * PORTFOLIO_ARRIVAL);
+  state = {
+    scrollY,
+    scrolled: scrollY > SCROLLED_PX,
+    progress: Math.min(1, Math.max(0, scrollY / span)),
+    heroVisible: scrollY < viewportHeight,
+  };
+  listeners.forEach((listener) => listener());
+};
+
+const scheduleMeasure = () => {
+  if (frameId === null) frameId = requestAnimationFrame(measure);
+};
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    window.addEventListener('scroll', scheduleMeasure, { passive: true });
+    window.addEventListener('resize', scheduleMeasure);
+    scheduleMeasure();
+  }
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size > 0) return;
+    window.removeEventListener('scroll', scheduleMeasure);
+    window.removeEventListener('resize', scheduleMeasure);
+    cancelAnimationFrame(frameId);
+    frameId = null;
+  };
+};
+
+// Re-renders only when `select`'s result changes, so select a single value:
+// useScrollProgress((scroll) => scroll.scrolled).
+export const useScrollProgress = (select) => useSyncExternalStore(subscribe, () => select(state));
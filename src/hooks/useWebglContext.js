@@ -0,0 +1,50 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { webglAvailable } from '../utils/webgl';
+
+// WebGL health for the 3D scene. Pass watch as (or call it from) the
+// Canvas's onCreated and markFailed as its error boundary's onError. watch
+// returns a cleanup that removes its listeners; watching another canvas or
+// unmounting runs it too.
+//   available   the browser can create a context at all (checked once)
+//   failed      the scene threw and was replaced by its fallback
+//   lost        the context is gone, between webglcontextlost and
+//               webglcontextrestored
+//   generation  bumped on every restore; keying meshes and passes on it
+//               rebuilds their GPU buffers and programs
+//   live        available, not failed and not lost
+export const useWebglContext = () => {
+  const [available] = useState(webglAvailable);
+  const [failed, setFailed] = useState(false);
+  const [lost, setLost] = useState(false);
+  const [generation, setGeneration] = useState(0);
+  const unwatchRef = useRef(null);
+
+  const watch = useCallback(({ gl }) => {
+    const canvas = gl.domElement;
+    const onLost = (event) => {
+      // Without this the browser never offers the context back.
+      event.preventDefault();
+      setLost(true);
+    };
+    const onRestored = () => {
+      setGeneration((n) => n + 1);
+      setLost(false);
+    };
+    unwatchRef.current?.();
+    canvas.addEventListener('webglcontextlost', onLost);
+    canvas.addEventListener('webglcontextrestored', onRestored);
+    const unwatch = () => {
+      canvas.removeEventListener('webglcontextlost', onLost);
+      canvas.removeEventListener('webglcontextrestored', onRestored);
+      if (unwatchRef.current === unwatch) unwatchRef.current = null;
+    };
+    unwatchRef.current = unwatch;
+    return unwatch;
+  }, []);
+
+  useEffect(() => () => unwatchRef.current?.(), []);
+
+  const markFailed = useCallback(() => setFailed(true), []);
+
+  return { available, failed, lost, generation, live: available && !failed && !lost, watch, markFailed };
+};
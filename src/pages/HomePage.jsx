@@ -1,23 +1,55 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { Canvas } from '@react-three/fiber';
-import { EffectComposer, Bloom } from '@react-three/postprocessing';
+import { EffectComposer } from '@react-three/postprocessing';
 import { ACESFilmicToneMapping, SRGBColorSpace } from 'three';
 
 import GraphVisualization from '../components/GraphVisualization';
 import ResponsiveCamera from '../components/ResponsiveCamera';
 import SceneLighting from '../components/SceneLighting';
+import PerformanceMonitor from '../components/PerformanceMonitor';
+import ScrollFadedBloom from '../components/ScrollFadedBloom';
 import Content from '../components/Content/Content';
 import FundName from '../components/FundName/FundName';
 import ContactForm from '../components/ContactForm';
 import PortfolioHeading from '../components/PortfolioHeading';
+import SceneControls, { ANY_TERRAIN } from '../components/SceneControls/SceneControls';
+import EditToolbar from '../components/EditToolbar/EditToolbar';
+import OverlayLegend from '../components/OverlayLegend/OverlayLegend';
+import PlaybackBar from '../components/PlaybackBar/PlaybackBar';
+import QualityOverlay from '../components/QualityOverlay/QualityOverlay';
+import CaptureToolbar from '../components/CaptureToolbar/CaptureToolbar';
+import SceneErrorBoundary from '../components/SceneErrorBoundary';
+import SceneFallback from '../components/SceneFallback/SceneFallback';
+import SceneSummary from '../components/SceneSummary/SceneSummary';
+import PortfolioLandmarks from '../components/PortfolioLandmarks/PortfolioLandmarks';
+import { TRAIL_GLOWS, DEFAULT_TRAIL_GLOW } from '../components/trailGlow';
+import { DEFAULT_CAMERA_MODE } from '../components/cameraModes';
 
 import { useResponsiveGrid } from '../hooks/useResponsiveGrid';
 import { usePathfinding } from '../hooks/usePathfinding';
+import { useAdaptiveQuality } from '../hooks/useAdaptiveQuality';
+import { useSceneCapture } from '../hooks/useSceneCapture';
+import { useWebglContext } from '../hooks/useWebglContext';
+import { useScrollProgress } from '../hooks/useScrollProgress';
+import { usePortfolioLandmarks } from '../hooks/usePortfolioLandmarks';
+import { useCostOverlay } from '../hooks/useCostOverlay';
+import { decodeSceneParams } from '../utils/scene';
+import { SEARCH_ALGORITHMS, DEFAULT_ALGORITHM } from '../utils/searchAlgorithms';
+import { TERRAIN_GENERATORS } from '../utils/terrain';
+import { EDIT_TOOLS, DEFAULT_EDIT_TOOL, cellsBetween } from '../utils/gridEditing';
+import { DEFAULT_PATH_STYLE } from '../utils/pathSmoothing';
+import { DEFAULT_TOPOLOGY } from '../utils/topology';
+import { DEFAULT_COST_OVERLAY } from '../utils/costOverlay';
 
 import '../App.css';
 
 const MOBILE_QUERY = '(max-width: 768px)';
 const LANDSCAPE_PHONE_QUERY = '(orientation: landscape) and (max-height: 600px)';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const SCENE_AGENT_COUNT = 3;           // lead route plus two agents sharing the grid
+const SCENE_SUMMARY_ID = 'scene-summary';
+const SCENE_ORIGIN = [0, 0, 0];        // one array, so props keyed on it stay equal across renders
 
 const useMediaQuery = (query) => {
   const [matches, setMatches] = useState(() =>
@@ -34,95 +66,331 @@ const useMediaQuery = (query) => {
   return matches;
 };
 
+// A shared link (?seed=…&detail=…) only seeds the first scene, so the URL is
+// read once on mount. ?debug adds the rendering quality readout and
+// ?glow=lights starts on the point-light trail glow.
+const readLinkedScene = (searchParams) => {
+  const algo = searchParams.get('algo');
+  const glow = searchParams.get('glow');
+  return {
+    initialScene: decodeSceneParams(searchParams),
+    algorithm: algo && Object.hasOwn(SEARCH_ALGORITHMS, algo) ? algo : DEFAULT_ALGORITHM,
+    debug: searchParams.has('debug'),
+    trailGlow: glow && Object.hasOwn(TRAIL_GLOWS, glow) ? glow : DEFAULT_TRAIL_GLOW,
+  };
+};
+
 export default function HomePage() {
-  const { gridWidth, gridHeight } = useResponsiveGrid();
+  const [searchParams] = useSearchParams();
+  const [{ initialScene, algorithm, debug, trailGlow: linkedGlow }] = useState(() => readLinkedScene(searchParams));
+  const [terrainChoice, setTerrainChoice] = useState(ANY_TERRAIN);
+  const [livingTerrain, setLivingTerrain] = useState(false);
+  const [pathStyle, setPathStyle] = useState(DEFAULT_PATH_STYLE);
+  const [topology, setTopology] = useState(initialScene?.topology ?? DEFAULT_TOPOLOGY);
+  const [overlayMode, setOverlayMode] = useState(DEFAULT_COST_OVERLAY);
+  const [trailGlow, setTrailGlow] = useState(linkedGlow);
+  const [cameraMode, setCameraMode] = useState(DEFAULT_CAMERA_MODE);
+  const [showPortfolio, setShowPortfolio] = useState(false);
+  const companies = usePortfolioLandmarks(showPortfolio);
+  const terrains = useMemo(
+    () => (terrainChoice === ANY_TERRAIN ? Object.keys(TERRAIN_GENERATORS) : [terrainChoice]),
+    [terrainChoice]
+  );
+  const isMobile = useMediaQuery(MOBILE_QUERY);
+  const isLandscape = useMediaQuery(LANDSCAPE_PHONE_QUERY);
+  const reducedMotion = useMediaQuery(REDUCED_MOTION_QUERY);
+  // Scrolling towards the portfolio pulls the camera back and fades the
+  // bloom, both read inside the Canvas so the page doesn't re-render with
+  // every scroll frame; once the scene is out of view it stops rendering and
+  // animating.
+  const sceneVisible = useScrollProgress((scroll) => scroll.heroVisible);
+  // Phones start a tier down; either way the frame rate decides from there.
+  const quality = useAdaptiveQuality(isMobile ? 'medium' : 'high');
+  const { tier } = quality;
+  const { gridWidth, gridHeight } = useResponsiveGrid(tier.gridScale);
+  const [editTool, setEditTool] = useState(DEFAULT_EDIT_TOOL);
   const {
     startPoint,
     endPoint,
+    waypoints,
+    waypointOrdering,
     path,
     pathKeys,
     animationState,
     isAnimating,
     completionStartTime,
     graphData,
-  } = usePathfinding(gridWidth, gridHeight);
+    searchStats,
+    isPartialPath,
+    agents,
+    scene,
+    sceneHistory,
+    historyIndex,
+    playScene,
+    playNextScene,
+    exportScene,
+    importScene,
+    paused,
+    setPaused,
+    stepForward,
+    stepBack,
+    seek,
+    speed,
+    setSpeed,
+    playback,
+    editMode,
+    setEditMode,
+    editStop,
+    paintCells,
+    replanStats,
+  } = usePathfinding(gridWidth, gridHeight, {
+    algorithm,
+    initialScene,
+    terrains,
+    livingTerrain,
+    agentCount: SCENE_AGENT_COUNT,
+    pathStyle,
+    topology,
+    reducedMotion,
+    visible: sceneVisible,
+    stopCount: companies?.length >= 2 ? companies.length : null,
+  });
 
-  const isMobile = useMediaQuery(MOBILE_QUERY);
-  const isLandscape = useMediaQuery(LANDSCAPE_PHONE_QUERY);
+  const capture = useSceneCapture({ scene, completionStartTime, playNextScene, paused, setPaused, exportScene });
+  const webgl = useWebglContext();
+
+  // Follows edits and living terrain, computed off the main thread.
+  const overlay = useCostOverlay(overlayMode, graphData, startPoint, endPoint);
+
+  // Companies on the stops, in stop order: start, waypoints, end. Null until
+  // a scene with one stop per company is showing.
+  const landmarks = useMemo(() => {
+    if (!companies || !startPoint || !endPoint || waypoints.length !== companies.length - 2) return null;
+    return [startPoint, ...waypoints, endPoint].map((point, i) => ({ ...companies[i], point }));
+  }, [companies, startPoint, endPoint, waypoints]);
+  const landmarkNames = landmarks && waypointOrdering
+    ? [0, ...waypointOrdering.order.map((i) => i + 1), landmarks.length - 1].map((i) => landmarks[i].name)
+    : null;
+
+  const isBrush = EDIT_TOOLS[editTool].kind === 'brush';
+  const handleCellPointerDown = (key) => {
+    if (isBrush) paintCells([key], editTool);
+    else editStop(editTool, key);
+  };
+  const handleCellDrag = (key, previousKey) => {
+    if (isBrush) paintCells(cellsBetween(previousKey, key, graphData.gridWidth, graphData.topology), editTool);
+  };
 
   useEffect(() => {
     document.body.classList.toggle('landscape-mode', isLandscape);
     return () => document.body.classList.remove('landscape-mode');
   }, [isLandscape]);
 
+  // The same state in 2D, for when the 3D scene can't run.
+  const renderFallback = (covering = false) => (
+    <SceneFallback
+      startPoint={startPoint}
+      endPoint={endPoint}
+      waypoints={waypoints}
+      pathKeys={pathKeys}
+      graphData={graphData}
+      animationState={animationState}
+      isAnimating={isAnimating}
+      path={path}
+      overlay={overlay}
+      covering={covering}
+    />
+  );
+
   return (
     <div className={`Canvas-Container ${isLandscape ? 'landscape-mode' : ''}`}>
       <FundName />
       <PortfolioHeading />
 
-      <Canvas
-        style={{
-          backgroundColor: 'black',
-          display: 'block',
-          width: '100%',
-          height: '100vh',
-          position: 'relative',
-        }}
-        camera={{
-          fov: isMobile ? 70 : 60,
-          position: [0, 0, 80],
-          near: 0.1,
-          far: 1000,
-        }}
-        dpr={isMobile ? [1, 1] : [1, 1.5]}
-        gl={{
-          alpha: false,
-          antialias: !isMobile,
-          powerPreference: 'high-performance',
-          stencil: false,
-          depth: true,
-        }}
-        onCreated={({ gl }) => {
-          gl.toneMapping = ACESFilmicToneMapping;
-          gl.toneMappingExposure = 1.0;
-          gl.outputColorSpace = SRGBColorSpace;
-        }}
-      >
-        <ResponsiveCamera target={[0, 0, 0]} gridWidth={gridWidth} gridHeight={gridHeight} />
-
-        <SceneLighting
-          startPoint={startPoint}
-          endPoint={endPoint}
-          animationState={animationState}
-          isAnimating={isAnimating}
-          path={path}
-          pathKeys={pathKeys}
-          completionStartTime={completionStartTime}
-          graphData={graphData}
-          gridWidth={gridWidth}
-          gridHeight={gridHeight}
-        />
+      {webgl.available ? (
+        <SceneErrorBoundary fallback={renderFallback()} onError={webgl.markFailed}>
+          <Canvas
+            // Landmark labels are controls, which an img role would hide.
+            role={landmarks ? 'group' : 'img'}
+            aria-label="Animated pathfinding scene: a route is searched for and walked across a grid of cubes"
+            aria-describedby={SCENE_SUMMARY_ID}
+            style={{
+              backgroundColor: 'black',
+              display: 'block',
+              width: '100%',
+              height: '100vh',
+              position: 'relative',
+              // Let drags paint instead of scrolling the page while editing.
+              touchAction: editMode ? 'none' : 'auto',
+            }}
+            camera={{
+              fov: isMobile ? 70 : 60,
+              position: [0, 0, 80],
+              near: 0.1,
+              far: 1000,
+            }}
+            dpr={tier.dpr}
+            frameloop={sceneVisible ? 'always' : 'never'}
+            gl={{
+              alpha: false,
+              antialias: !isMobile,
+              powerPreference: 'high-performance',
+              stencil: false,
+              depth: true,
+            }}
+            onCreated={(state) => {
+              const { gl } = state;
+              gl.toneMapping = ACESFilmicToneMapping;
+              gl.toneMappingExposure = 1.0;
+              gl.outputColorSpace = SRGBColorSpace;
+              capture.attach(state);
+              webgl.watch(state);
+            }}
+          >
+            <PerformanceMonitor onSample={quality.reportSample} />
+
+            <ResponsiveCamera
+              target={SCENE_ORIGIN}
+              gridWidth={graphData.gridWidth}
+              gridHeight={graphData.gridHeight}
+              topology={graphData.topology}
+              mode={cameraMode}
+              animationState={animationState}
+              heights={graphData.heights}
+              reducedMotion={reducedMotion}
+              interactive={!editMode}
+            />
+
+            <SceneLighting
+              startPoint={startPoint}
+              endPoint={endPoint}
+              animationState={animationState}
+              isAnimating={isAnimating}
+              path={path}
+              pathKeys={pathKeys}
+              completionStartTime={completionStartTime}
+              graphData={graphData}
+              gridWidth={graphData.gridWidth}
+              gridHeight={graphData.gridHeight}
+              trailLightCount={tier.trailLights}
+              trailGlow={trailGlow}
+              reducedMotion={reducedMotion}
+            />
+
+            <GraphVisualization
+              key={webgl.generation}
+              position={SCENE_ORIGIN}
+              startPoint={startPoint}
+              endPoint={endPoint}
+              waypoints={waypoints}
+              pathKeys={pathKeys}
+              graphData={graphData}
+              animationState={animationState}
+              isAnimating={isAnimating}
+              path={path}
+              overlay={overlay}
+              trailGlow={trailGlow}
+              reducedMotion={reducedMotion}
+              onCellPointerDown={editMode ? handleCellPointerDown : undefined}
+              onCellDrag={editMode ? handleCellDrag : undefined}
+            />
+
+            {landmarks && <PortfolioLandmarks landmarks={landmarks} graphData={graphData} />}
+
+            {tier.bloom && (
+              <EffectComposer
+                key={webgl.generation}
+                ref={capture.composerRef}
+                disableNormalPass
+                multisampling={tier.multisampling}
+              >
+                <ScrollFadedBloom
+                  intensity={isMobile ? 0.6 : 0.9}
+                  luminanceThreshold={0.4}
+                  luminanceSmoothing={0.2}
+                  mipmapBlur
+                />
+              </EffectComposer>
+            )}
+          </Canvas>
+          {webgl.lost && renderFallback(true)}
+        </SceneErrorBoundary>
+      ) : renderFallback()}
 
-        <GraphVisualization
-          position={[0, 0, 0]}
-          startPoint={startPoint}
-          endPoint={endPoint}
-          pathKeys={pathKeys}
-          graphData={graphData}
-          animationState={animationState}
-          isAnimating={isAnimating}
-          path={path}
+      <SceneSummary
+        id={SCENE_SUMMARY_ID}
+        finished={completionStartTime !== null}
+        path={path}
+        pathCost={searchStats?.pathCost ?? 0}
+        waypointCount={waypoints.length}
+        partial={isPartialPath}
+        agentCount={agents.length}
+        stopNames={landmarkNames}
+      />
+
+      {debug && (
+        <QualityOverlay
+          quality={quality}
+          gridWidth={graphData.gridWidth}
+          gridHeight={graphData.gridHeight}
+          trailGlow={trailGlow}
+          onTrailGlowChange={setTrailGlow}
         />
+      )}
+
+      <PlaybackBar
+        paused={paused}
+        onPausedChange={setPaused}
+        onStepBack={stepBack}
+        onStepForward={stepForward}
+        playback={playback}
+        onSeek={seek}
+        speed={speed}
+        onSpeedChange={setSpeed}
+        onNextScene={playNextScene}
+        disabled={editMode}
+      />
+
+      <EditToolbar
+        editMode={editMode}
+        onEditModeChange={setEditMode}
+        tool={editTool}
+        onToolChange={setEditTool}
+      />
+
+      <CaptureToolbar
+        live={webgl.live}
+        onSavePng={capture.savePng}
+        recording={capture.recording}
+        canRecord={capture.canRecord}
+        onRecord={capture.recordCycle}
+        onStopRecording={capture.stopRecording}
+        onExport={capture.saveSceneFile}
+        onImport={importScene}
+      />
+
+      <OverlayLegend mode={overlayMode} onModeChange={setOverlayMode} overlay={overlay} />
 
-        <EffectComposer disableNormalPass multisampling={isMobile ? 0 : 2}>
-          <Bloom
-            intensity={isMobile ? 0.6 : 0.9}
-            luminanceThreshold={0.4}
-            luminanceSmoothing={0.2}
-            mipmapBlur
-          />
-        </EffectComposer>
-      </Canvas>
+      <SceneControls
+        scene={scene}
+        sceneHistory={sceneHistory}
+        historyIndex={historyIndex}
+        onPlayScene={playScene}
+        linkParams={algorithm === DEFAULT_ALGORITHM ? undefined : { algo: algorithm }}
+        terrainChoice={terrainChoice}
+        onTerrainChange={setTerrainChoice}
+        livingTerrain={livingTerrain}
+        onLivingTerrainChange={setLivingTerrain}
+        replanStats={replanStats}
+        pathStyle={pathStyle}
+        onPathStyleChange={setPathStyle}
+        topology={topology}
+        onTopologyChange={setTopology}
+        cameraMode={cameraMode}
+        onCameraModeChange={setCameraMode}
+        showPortfolio={showPortfolio}
+        onShowPortfolioChange={setShowPortfolio}
+      />
 
       <div className="content-wrapper">
         <Content />
@@ -0,0 +1,152 @@
+// Cooperative A* (Silver, 2005) for several agents sharing one grid. Agents
+// move one cell per tick or wait in place, and are routed one after another
+// through a space-time search that avoids every cell (and every swap) the
+// earlier agents have reserved for that tick. An agent that has arrived
+// leaves the grid, so its goal is free again from the next tick on.
+//
+// Paths are timed: path[t] is the agent's cell at tick t, and repeated keys
+// are waits. Moves follow the graph's topology and cost what they do in the
+// other searches (see edgeCostFor), and a wait costs the graph's minWeight, the cheapest a tick can be, so
+// holding back is never dearer than any detour.
+
+import { PriorityQueue } from './priorityQueue';
+import { costField, edgeCostFor } from './searchAlgorithms';
+import { coordToKey } from './dijkstra';
+import { topologyOf } from './topology';
+
+const COOPERATIVE_NODE_BUDGET = 60000;  // space-time expansions per agent
+const HORIZON_SLACK = 4;                // extra ticks per grid cell of width + height
+const DEPTH_TIE_BREAK = 1e-6;           // among equal f, prefer states further along
+
+// Which agent holds each cell at each tick, plus the moves made between ticks
+// so head-on swaps can be refused.
+export class ReservationTable {
+  constructor(size) {
+    this.size = size;
+    this.cells = new Set();          // tick * size + key
+    this.moves = new Set();          // (tick * size + to) * size + from, for the move into tick
+    this.horizon = 0;                // last tick any reservation covers
+  }
+
+  reserve(path) {
+    const { size } = this;
+    for (let t = 0; t < path.length; t++) {
+      const key = path[t];
+      this.cells.add(t * size + key);
+      if (t > 0) this.moves.add((t * size + key) * size + path[t - 1]);
+    }
+    this.horizon = Math.max(this.horizon, path.length - 1);
+  }
+
+  occupied(key, t) {
+    return this.cells.has(t * this.size + key);
+  }
+
+  // Moving from -> to between ticks t - 1 and t swaps places with an agent
+  // making the opposite move.
+  swaps(from, to, t) {
+    return from !== to && this.moves.has((t * this.size + from) * this.size + to);
+  }
+
+  // Whether walking `path` from tick `startTick` (path[0] at startTick) runs
+  // into any reservation.
+  conflicts(path, startTick = 0) {
+    for (let i = 0; i < path.length; i++) {
+      const t = startTick + i;
+      if (this.occupied(path[i], t)) return true;
+      if (i > 0 && this.swaps(path[i - 1], path[i], t)) return true;
+    }
+    return false;
+  }
+}
+
+// Space-time A* from startKey to goalKey against `table`. The heuristic is
+// the exact single-agent cost to the goal, read off a costField flood towards
+// it, so only the detours other agents force are searched. Returns the timed
+// path, or [] when the budget or horizon runs out first.
+const spaceTimeAStar = (startKey, goalKey, graph, table, edgeCost) => {
+  const { walls, gridWidth, gridHeight } = graph;
+  const { neighbors, maxNeighbors } = topologyOf(graph.topology);
+  const size = gridWidth * gridHeight;
+  if (walls[startKey] || walls[goalKey] || table.occupied(startKey, 0)) return [];
+
+  const toGoal = costField(goalKey, graph, { towardSource: true, edgeCost });
+  const heuristic = (key) => toGoal[key];
+  if (toGoal[startKey] === Infinity) return [];
+
+  const horizon = table.horizon + HORIZON_SLACK * (gridWidth + gridHeight);
+  const gCost = new Map();       // state (t * size + key) -> best cost
+  const parent = new Map();
+  const closed = new Set();
+  const open = new PriorityQueue();
+  const moves = new Int32Array(maxNeighbors + 1);
+  gCost.set(startKey, 0);
+  open.enqueue(startKey, heuristic(startKey));
+
+  let expanded = 0;
+  while (!open.isEmpty() && expanded < COOPERATIVE_NODE_BUDGET) {
+    const { element: state } = open.dequeue();
+    if (closed.has(state)) continue;
+    closed.add(state);
+    expanded++;
+    const key = state % size;
+    const t = (state - key) / size;
+
+    if (key === goalKey) {
+      const path = [];
+      for (let s = state; s !== undefined; s = parent.get(s)) path.push(s % size);
+      return path.reverse();
+    }
+    if (t >= horizon) continue;
+
+    // Waiting in place, then every open neighbour.
+    moves[0] = key;
+    const count = 1 + neighbors(key, gridWidth, gridHeight, walls, moves.subarray(1));
+
+    const g = gCost.get(state);
+    for (let i = 0; i < count; i++) {
+      const next = moves[i];
+      if (table.occupied(next, t + 1) || table.swaps(key, next, t + 1)) continue;
+      const nextState = (t + 1) * size + next;
+      if (closed.has(nextState)) continue;
+      const tentative = g + (next === key ? graph.minWeight : edgeCost(key, next));
+      if (tentative < (gCost.get(nextState) ?? Infinity)) {
+        gCost.set(nextState, tentative);
+        parent.set(nextState, state);
+        open.enqueue(nextState, tentative + heuristic(next) - tentative * DEPTH_TIE_BREAK);
+      }
+    }
+  }
+  return [];
+};
+
+// Routes `agents` ([{ start, end }] points) around the already fixed
+// `leadPath`, in order, each one reserving its route for the next. Returns
+// [{ start, end, path, cost }] in the same order; path is [] for an agent
+// that found no collision-free route.
+export const routeAgents = (leadPath, agents, graph) => {
+  const { gridWidth, gridHeight } = graph;
+  const edgeCost = edgeCostFor(graph);
+  const table = new ReservationTable(gridWidth * gridHeight);
+  if (leadPath.length > 0) table.reserve(leadPath);
+
+  return agents.map(({ start, end }) => {
+    const path = spaceTimeAStar(coordToKey(start.x, start.y, gridWidth), coordToKey(end.x, end.y, gridWidth), graph, table, edgeCost);
+    let cost = 0;
+    for (let t = 1; t < path.length; t++) {
+      cost += path[t] === path[t - 1] ? graph.minWeight : edgeCost(path[t - 1], path[t]);
+    }
+    if (path.length > 0) table.reserve(path);
+    return { start, end, path, cost: path.length > 0 ? cost : Infinity };
+  });
+};
+
+// Reservations for a set of routed agents, for checking a replanned lead
+// route against them (see ReservationTable.conflicts).
+export const reservationsFor = (routes, graph) => {
+  const table = new ReservationTable(graph.gridWidth * graph.gridHeight);
+  for (const { path } of routes) {
+    if (path.length > 0) table.reserve(path);
+  }
+  return table;
+};
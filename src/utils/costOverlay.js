@@ -0,0 +1,82 @@
+// Cost-field overlays: per-cell values that explain a route, normalised to
+// 0..1 for colouring with OVERLAY_COLORMAP.
+//   weight     each cell's entry cost, on a log scale since weights span
+//              two orders of magnitude
+//   distance   cheapest cost from the start to every cell (full Dijkstra)
+//   costToGo   cheapest cost from every cell to the end
+// Walls and cells the flood never reaches are NaN and keep their usual look.
+
+import { costField } from './searchAlgorithms';
+import { coordToKey } from './dijkstra';
+
+export const COST_OVERLAYS = {
+  none: { label: 'No overlay' },
+  weight: { label: 'Weight' },
+  distance: { label: 'Distance from start' },
+  costToGo: { label: 'Cost to go' },
+};
+
+export const DEFAULT_COST_OVERLAY = 'none';
+
+// Viridis, sampled at nine evenly spaced stops (sRGB). Perceptually uniform
+// and still ordered in greyscale.
+export const OVERLAY_COLORMAP = [
+  '#440154', '#472d7b', '#3b528b', '#2c728e', '#21918c',
+  '#28ae80', '#5ec962', '#addc30', '#fde725',
+];
+
+const COLORMAP_RGB = OVERLAY_COLORMAP.map((hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16) / 255));
+
+// sRGB [r, g, b] in 0..1 for t in 0..1, linearly between the stops.
+export const overlayColor = (t) => {
+  const scaled = Math.min(1, Math.max(0, t)) * (COLORMAP_RGB.length - 1);
+  const i = Math.min(COLORMAP_RGB.length - 2, Math.floor(scaled));
+  const f = scaled - i;
+  const a = COLORMAP_RGB[i];
+  const b = COLORMAP_RGB[i + 1];
+  return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+};
+
+// Raw per-cell values for `mode`, Infinity where there is nothing to show.
+const rawField = (mode, graph, { start, end }) => {
+  const { weights, walls, gridWidth } = graph;
+  if (mode === 'weight') return Float64Array.from(weights, (w, key) => (walls[key] ? Infinity : w));
+  if (mode === 'distance') return start ? costField(coordToKey(start.x, start.y, gridWidth), graph) : null;
+  if (mode === 'costToGo') {
+    return end ? costField(coordToKey(end.x, end.y, gridWidth), graph, { towardSource: true }) : null;
+  }
+  throw new Error(`Unknown cost overlay: ${mode}`);
+};
+
+// Returns { mode, values, min, max, logScale } with values in 0..1 (NaN for
+// walls and unreached cells) and min/max the raw values at either end of the
+// colormap, or null for 'none' or when the stop the field needs is missing.
+export const computeCostOverlay = (mode, graph, stops) => {
+  if (mode === DEFAULT_COST_OVERLAY) return null;
+  const raw = rawField(mode, graph, stops);
+  if (!raw) return null;
+
+  let min = Infinity;
+  let max = -Infinity;
+  for (const value of raw) {
+    if (value === Infinity) continue;
+    if (value < min) min = value;
+    if (value > max) max = value;
+  }
+  if (min === Infinity) return null;
+
+  const logScale = mode === 'weight';
+  const scale = logScale ? Math.log : (v) => v;
+  const low = scale(min);
+  const span = scale(max) - low || 1;
+  const values = Float32Array.from(raw, (value) => (value === Infinity ? NaN : (scale(value) - low) / span));
+  return { mode, values, min, max, logScale };
+};
+
+// computeCostOverlay as a pathfinding worker request (see
+// pathfindingClient.js). `graph` needs only the fields the overlays read:
+// weights, walls, heights, gridWidth, gridHeight and topology.
+export const costOverlayRequest = ({ mode, graph, stops }) => {
+  const overlay = computeCostOverlay(mode, graph, stops);
+  return { message: overlay, transfer: overlay ? [overlay.values.buffer] : [] };
+};
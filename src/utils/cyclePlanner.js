@@ -0,0 +1,213 @@
+// Plans one pathfinding cycle: generates the graph for a resolved scene (see
+// scene.js) and solves the route through its stops. Pure and self-contained
+// so it can run in the pathfinding worker or, as a fallback, on the main
+// thread. Cycles cross
+// the worker boundary through serializeCycle/deserializeCycle, which pack
+// everything into transferable typed arrays.
+
+import {
+  generateGraphStructure,
+  createGraphData,
+  findShortestGraphPath,
+  coordToKey,
+  keyToX,
+  keyToY,
+} from './dijkstra';
+import { SEARCH_STATUS, pathCost } from './searchAlgorithms';
+import { generateTerrain } from './terrain';
+import { orderWaypoints } from './waypointOrder';
+import { routeAgents } from './cooperativeRouting';
+import { topologyOf } from './topology';
+
+// Routes through `stops` ([start, ...waypoints, end]), visiting the
+// waypoints in the order orderWaypoints picks. Returns { path, stats,
+// exploration, status, partial, ordering } with stats summed over every
+// segment and the segments' search traces concatenated in order; a partial
+// segment adds the cost of the stretch it walks, so stats.pathCost is the
+// cost of `path`. ordering is orderWaypoints' { order, cost, exact }. A failed segment ends the route
+// there: status is that segment's status and path is empty, or with
+// searchOptions.allowPartial runs up to the segment's best partial path.
+export const buildWaypointPath = (stops, graph, searchOptions) => {
+  const { gridWidth } = graph;
+  const start = stops[0];
+  const end = stops[stops.length - 1];
+  const waypoints = stops.slice(1, -1);
+  const ordering = orderWaypoints(start, waypoints, end, graph);
+  const route = [start, ...ordering.order.map((i) => waypoints[i]), end];
+  const fullPath = [];
+  const { algorithm, strict } = searchOptions;
+  const stats = { algorithm, strict, nodesExpanded: 0, pathCost: 0, runtimeMs: 0, segments: route.length - 1 };
+  const exploration = { expansionOrder: [], frontierSnapshots: [] };
+
+  for (let i = 0; i < route.length - 1; i++) {
+    const fromKey = coordToKey(route[i].x, route[i].y, gridWidth);
+    const toKey = coordToKey(route[i + 1].x, route[i + 1].y, gridWidth);
+    const segment = findShortestGraphPath(fromKey, toKey, graph, { ...searchOptions, trace: true });
+    if (segment.trace) {
+      const offset = exploration.expansionOrder.length;
+      exploration.expansionOrder.push(...segment.trace.expansionOrder);
+      for (const { step, keys } of segment.trace.frontierSnapshots) {
+        exploration.frontierSnapshots.push({ step: step + offset, keys });
+      }
+    }
+    stats.nodesExpanded += segment.stats.nodesExpanded;
+    stats.pathCost += segment.partial
+      ? pathCost(segment.path, graph, searchOptions.edgeCost)
+      : segment.stats.pathCost;
+    stats.runtimeMs += segment.stats.runtimeMs;
+    if (!segment.pathExists && !segment.partial) {
+      return { path: [], stats, exploration, status: segment.status, partial: false, ordering };
+    }
+    if (i === 0) fullPath.push(...segment.path);
+    else fullPath.push(...segment.path.slice(1));
+    if (segment.partial) {
+      return { path: fullPath, stats, exploration, status: segment.status, partial: true, ordering };
+    }
+  }
+  return { path: fullPath, stats, exploration, status: SEARCH_STATUS.FOUND, partial: false, ordering };
+};
+
+// Nearest open cell to `point` by breadth-first search over the board, so
+// stops that land on a wall move just off it.
+const snapToOpenCell = (point, graph) => {
+  const { walls, gridWidth, gridHeight } = graph;
+  const { neighbors, maxNeighbors } = topologyOf(graph.topology);
+  const startKey = coordToKey(point.x, point.y, gridWidth);
+  if (!walls[startKey]) return point;
+  const size = gridWidth * gridHeight;
+  const seen = new Uint8Array(size);
+  const queue = new Int32Array(size);
+  const candidates = new Int32Array(maxNeighbors);
+  let head = 0;
+  let tail = 0;
+  seen[startKey] = 1;
+  queue[tail++] = startKey;
+  while (head < tail) {
+    const key = queue[head++];
+    const x = keyToX(key, gridWidth);
+    if (!walls[key]) return { x, y: keyToY(key, gridWidth) };
+    const count = neighbors(key, gridWidth, gridHeight, null, candidates);
+    for (let i = 0; i < count; i++) {
+      const next = candidates[i];
+      if (!seen[next]) {
+        seen[next] = 1;
+        queue[tail++] = next;
+      }
+    }
+  }
+  return point;
+};
+
+// Returns { graph, scene, result } where result is buildWaypointPath's plus
+// `agents`, the further agents' routes from routeAgents, and scene is the
+// input scene with its stops moved off any walls. searchOptions are passed
+// to every segment search of the lead route. A scene with savedGraph is
+// played on a copy of its weights, walls and heights instead of generated
+// terrain.
+export const planCycle = ({ scene, searchOptions }) => {
+  const { gridWidth, gridHeight, seed, detail, terrain, topology, savedGraph } = scene;
+  const graph = savedGraph
+    ? createGraphData(
+      Float32Array.from(savedGraph.weights),
+      gridWidth,
+      gridHeight,
+      Uint8Array.from(savedGraph.walls),
+      topology,
+      savedGraph.heights ? Float32Array.from(savedGraph.heights) : null
+    )
+    : generateGraphStructure(gridWidth, gridHeight, seed, detail, terrain, topology);
+  const start = snapToOpenCell(scene.start, graph);
+  const end = snapToOpenCell(scene.end, graph);
+  const waypoints = scene.waypoints.map((point) => snapToOpenCell(point, graph));
+  const agents = (scene.agents ?? []).map((agent) => ({
+    start: snapToOpenCell(agent.start, graph),
+    end: snapToOpenCell(agent.end, graph),
+  }));
+  const result = buildWaypointPath([start, ...waypoints, end], graph, searchOptions);
+  result.agents = routeAgents(result.path, agents, graph);
+  return { graph, scene: { ...scene, start, end, waypoints, agents }, result };
+};
+
+// Weight field of a scene's drifting terrain `time` into its drift, packed
+// like serializeCycle. Drifting terrain keeps its walls and heights, so the
+// weights are all that change.
+export const driftWeights = ({ scene, time }) => {
+  const { gridWidth, gridHeight, seed, detail, terrain, topology } = scene;
+  const { weights } = generateTerrain(terrain, gridWidth, gridHeight, seed, detail, time, topology);
+  return { message: weights, transfer: [weights.buffer] };
+};
+
+// Packs a planned cycle into a structured-clone message plus the list of
+// buffers to transfer. The graph's node Map stays behind; deserializeCycle
+// rebuilds it from the weights, walls and heights.
+export const serializeCycle = ({ graph, scene, result }) => {
+  const { frontierSnapshots } = result.exploration;
+  let frontierSize = 0;
+  for (const snapshot of frontierSnapshots) frontierSize += snapshot.keys.length;
+
+  const frontierSteps = new Int32Array(frontierSnapshots.length);
+  const frontierOffsets = new Int32Array(frontierSnapshots.length + 1);
+  const frontierKeys = new Int32Array(frontierSize);
+  frontierSnapshots.forEach(({ step, keys }, i) => {
+    frontierSteps[i] = step;
+    frontierKeys.set(keys, frontierOffsets[i]);
+    frontierOffsets[i + 1] = frontierOffsets[i] + keys.length;
+  });
+
+  const message = {
+    graph: {
+      weights: graph.weights,
+      walls: graph.walls,
+      heights: graph.heights,
+      gridWidth: graph.gridWidth,
+      gridHeight: graph.gridHeight,
+      topology: graph.topology,
+    },
+    scene,
+    path: Int32Array.from(result.path),
+    status: result.status,
+    partial: result.partial,
+    stats: result.stats,
+    ordering: result.ordering,
+    agents: result.agents,
+    exploration: {
+      expansionOrder: Int32Array.from(result.exploration.expansionOrder),
+      frontierSteps,
+      frontierOffsets,
+      frontierKeys,
+    },
+  };
+  const transfer = [
+    message.graph.weights.buffer,
+    message.graph.walls.buffer,
+    message.path.buffer,
+    message.exploration.expansionOrder.buffer,
+    frontierSteps.buffer,
+    frontierOffsets.buffer,
+    frontierKeys.buffer,
+  ];
+  if (graph.heights) transfer.push(graph.heights.buffer);
+  return { message, transfer };
+};
+
+export const deserializeCycle = (message) => {
+  const { graph, scene, path, status, partial, stats, ordering, agents, exploration } = message;
+  const { frontierSteps, frontierOffsets, frontierKeys } = exploration;
+  const frontierSnapshots = Array.from(frontierSteps, (step, i) => ({
+    step,
+    keys: Array.from(frontierKeys.subarray(frontierOffsets[i], frontierOffsets[i + 1])),
+  }));
+  return {
+    graph: createGraphData(graph.weights, graph.gridWidth, graph.gridHeight, graph.walls, graph.topology, graph.heights),
+    scene,
+    result: {
+      path: Array.from(path),
+      status,
+      partial,
+      stats,
+      ordering,
+      agents,
+      exploration: { expansionOrder: Array.from(exploration.expansionOrder), frontierSnapshots },
+    },
+  };
+};
@@ -1,241 +1,136 @@
-// A* pathfinding on a 4-connected grid with Manhattan-distance heuristic.
+// Grid graph generation plus the pathfinding entry point. Terrain comes from
+// a generator in terrain.js and the search itself is delegated to a strategy
+// from searchAlgorithms.js (weighted A* by default).
 // Node keys are integers: key = y * gridWidth + x. Neighbors are computed
-// on demand from the key — no edges map is materialised.
+// on demand from the key by the graph's topology (see topology.js) — no
+// edges map is materialised.
 
-class PriorityQueue {
-  constructor() {
-    this.heap = [];
-  }
-
-  enqueue(element, priority) {
-    this.heap.push({ element, priority });
-    this.bubbleUp(this.heap.length - 1);
-  }
-
-  dequeue() {
-    const heap = this.heap;
-    if (heap.length === 0) return null;
-    if (heap.length === 1) return heap.pop();
-    const min = heap[0];
-    heap[0] = heap.pop();
-    this.bubbleDown(0);
-    return min;
-  }
-
-  isEmpty() {
-    return this.heap.length === 0;
-  }
-
-  bubbleUp(index) {
-    const heap = this.heap;
-    while (index > 0) {
-      const parent = (index - 1) >> 1;
-      if (heap[parent].priority <= heap[index].priority) break;
-      [heap[parent], heap[index]] = [heap[index], heap[parent]];
-      index = parent;
-    }
-  }
-
-  bubbleDown(index) {
-    const heap = this.heap;
-    const len = heap.length;
-    while (true) {
-      const left = 2 * index + 1;
-      const right = 2 * index + 2;
-      let smallest = index;
-      if (left < len && heap[left].priority < heap[smallest].priority) smallest = left;
-      if (right < len && heap[right].priority < heap[smallest].priority) smallest = right;
-      if (smallest === index) break;
-      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
-      index = smallest;
-    }
-  }
-}
-
-class PerlinNoise {
-  constructor(seed = 0) {
-    this.seed = seed;
-    this.permutation = this.generatePermutation();
-  }
-
-  generatePermutation() {
-    const p = new Uint8Array(512);
-    for (let i = 0; i < 256; i++) p[i] = i;
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(this.seededRandom() * (i + 1));
-      const tmp = p[i]; p[i] = p[j]; p[j] = tmp;
-    }
-    for (let i = 0; i < 256; i++) p[256 + i] = p[i];
-    return p;
-  }
-
-  seededRandom() {
-    this.seed = (this.seed * 9301 + 49297) % 233280;
-    return this.seed / 233280;
-  }
-
-  fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
-  lerp(t, a, b) { return a + t * (b - a); }
-
-  grad(hash, x, y, z = 0) {
-    const h = hash & 15;
-    const u = h < 8 ? x : y;
-    const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
-    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
-  }
-
-  noise(x, y, z = 0) {
-    const X = Math.floor(x) & 255;
-    const Y = Math.floor(y) & 255;
-    const Z = Math.floor(z) & 255;
-    x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
-    const u = this.fade(x), v = this.fade(y), w = this.fade(z);
-    const p = this.permutation;
-    const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
-    const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
-    return this.lerp(w,
-      this.lerp(v,
-        this.lerp(u, this.grad(p[AA], x, y, z), this.grad(p[BA], x - 1, y, z)),
-        this.lerp(u, this.grad(p[AB], x, y - 1, z), this.grad(p[BB], x - 1, y - 1, z))),
-      this.lerp(v,
-        this.lerp(u, this.grad(p[AA + 1], x, y, z - 1), this.grad(p[BA + 1], x - 1, y, z - 1)),
-        this.lerp(u, this.grad(p[AB + 1], x, y - 1, z - 1), this.grad(p[BB + 1], x - 1, y - 1, z - 1))));
-  }
-
-  fractalNoise(x, y, octaves = 4, persistence = 0.5, scale = 0.1) {
-    let value = 0, amplitude = 1, frequency = scale, maxValue = 0;
-    for (let i = 0; i < octaves; i++) {
-      value += this.noise(x * frequency, y * frequency) * amplitude;
-      maxValue += amplitude;
-      amplitude *= persistence;
-      frequency *= 2;
-    }
-    return value / maxValue;
-  }
-}
+import { SEARCH_ALGORITHMS, SEARCH_STATUS, DEFAULT_ALGORITHM, pathCost, supportsTopology } from './searchAlgorithms';
+import { generateTerrain, DEFAULT_TERRAIN } from './terrain';
+import { DEFAULT_TOPOLOGY } from './topology';
 
 export const coordToKey = (x, y, gridWidth) => y * gridWidth + x;
 export const keyToX = (key, gridWidth) => key % gridWidth;
 export const keyToY = (key, gridWidth) => Math.floor(key / gridWidth);
 
-export const generateGraphStructure = (gridWidth, gridHeight, seed = 42, detail = 1.0) => {
-  const size = gridWidth * gridHeight;
-  const weights = new Float32Array(size);
+// Wraps a weight field, optional wall mask (1 = impassable) and optional
+// height field in the graphData shape the search and the renderers share.
+// Used directly when weights arrive from elsewhere (e.g. a worker). minWeight
+// only counts open cells; topology is a TOPOLOGIES key. heights, in layout
+// units, make steps pay for their slope (see edgeCostFor); null keeps the
+// board flat.
+export const createGraphData = (
+  weights,
+  gridWidth,
+  gridHeight,
+  walls = null,
+  topology = DEFAULT_TOPOLOGY,
+  heights = null
+) => {
   const nodes = new Map();
-  const perlin = new PerlinNoise(seed);
-  const baseScale = detail * 0.05;
-  const roadScale = detail * 0.1;
-
+  const wallMask = walls ?? new Uint8Array(gridWidth * gridHeight);
+  let minWeight = Infinity;
   for (let y = 0; y < gridHeight; y++) {
     for (let x = 0; x < gridWidth; x++) {
-      const noiseValue = perlin.fractalNoise(x, y, 4, 0.6, baseScale);
-
-      let weight;
-      if (noiseValue < -0.3) {
-        weight = 0.1 + (noiseValue + 0.3) * 0.5;
-      } else if (noiseValue < 0.1) {
-        weight = 0.5 + noiseValue * 2.5;
-      } else if (noiseValue < 0.4) {
-        weight = 2.0 + (noiseValue - 0.1) * 10;
-      } else {
-        weight = 8.0 + (noiseValue - 0.4) * 28.33;
-      }
-
-      const roadNoise = perlin.fractalNoise(x * 0.03, y * 0.03, 2, 0.5, roadScale);
-      if (Math.abs(roadNoise) < 0.05) weight = Math.min(weight, 0.3);
-
-      weight = Math.max(0.1, weight);
       const key = y * gridWidth + x;
-      weights[key] = weight;
-      nodes.set(key, { x, y, weight });
+      const weight = weights[key];
+      const wall = wallMask[key] === 1;
+      if (!wall && weight < minWeight) minWeight = weight;
+      nodes.set(key, { x, y, weight, wall, height: heights ? heights[key] : 0 });
     }
   }
-
-  return { nodes, weights, gridWidth, gridHeight };
+  return { nodes, weights, walls: wallMask, heights, gridWidth, gridHeight, minWeight, topology };
 };
 
-const dijkstraGraph = (startKey, endKey, graphData) => {
-  const { nodes, weights, gridWidth, gridHeight } = graphData;
-  const gCost = new Map();
-  const previous = new Map();
-  const visited = new Set();
-  const pq = new PriorityQueue();
-  const lastRow = (gridHeight - 1) * gridWidth;
-
-  const endX = endKey % gridWidth;
-  const endY = (endKey - endX) / gridWidth;
-  const heuristic = (key) => {
-    const x = key % gridWidth;
-    const y = (key - x) / gridWidth;
-    return (Math.abs(x - endX) + Math.abs(y - endY)) * 0.8;
-  };
-
-  gCost.set(startKey, 0);
-  pq.enqueue(startKey, heuristic(startKey));
-
-  const maxNodes = Math.min(2000, nodes.size);
-  let explored = 0;
-
-  while (!pq.isEmpty() && explored < maxNodes) {
-    const { element: currentKey } = pq.dequeue();
-    if (visited.has(currentKey)) continue;
-    visited.add(currentKey);
-    explored++;
-
-    if (currentKey === endKey) break;
-
-    const currentG = gCost.get(currentKey);
-    const x = currentKey % gridWidth;
-
-    const candidates = [
-      x > 0 ? currentKey - 1 : -1,
-      x < gridWidth - 1 ? currentKey + 1 : -1,
-      currentKey >= gridWidth ? currentKey - gridWidth : -1,
-      currentKey < lastRow ? currentKey + gridWidth : -1,
-    ];
-
-    for (let i = 0; i < 4; i++) {
-      const nKey = candidates[i];
-      if (nKey < 0 || visited.has(nKey)) continue;
-      const tentativeG = currentG + weights[nKey];
-      const existing = gCost.get(nKey);
-      if (existing === undefined || tentativeG < existing) {
-        previous.set(nKey, currentKey);
-        gCost.set(nKey, tentativeG);
-        pq.enqueue(nKey, tentativeG + heuristic(nKey));
-      }
-    }
+// A copy of `graph` with its weight field replaced by `weights`, for terrain
+// that drifts. Walls, heights and topology are kept, so unlike
+// createGraphData nothing but the nodes is rebuilt; `graph` is left as it was.
+export const withWeights = (graph, weights) => {
+  const nodes = new Map();
+  let minWeight = Infinity;
+  for (const [key, node] of graph.nodes) {
+    const weight = weights[key];
+    if (!node.wall && weight < minWeight) minWeight = weight;
+    nodes.set(key, { ...node, weight });
   }
-
-  return { gCost, previous };
+  return { ...graph, nodes, weights, minWeight };
 };
 
-const reconstructPath = (previous, startKey, endKey) => {
-  const path = [];
-  let current = endKey;
-  while (current !== undefined) {
-    path.unshift(current);
-    if (current === startKey) return path;
-    current = previous.get(current);
-  }
-  return [];
+// `terrain` is a TERRAIN_GENERATORS key, `topology` a TOPOLOGIES key.
+export const generateGraphStructure = (
+  gridWidth,
+  gridHeight,
+  seed = 42,
+  detail = 1.0,
+  terrain = DEFAULT_TERRAIN,
+  topology = DEFAULT_TOPOLOGY
+) => {
+  const { weights, walls, heights } = generateTerrain(terrain, gridWidth, gridHeight, seed, detail, 0, topology);
+  return createGraphData(weights, gridWidth, gridHeight, walls, topology, heights);
 };
 
-export const findShortestGraphPath = (startKey, endKey, graphData) => {
-  const { nodes } = graphData;
-  if (!nodes.has(startKey) || !nodes.has(endKey)) {
-    return { path: [], distance: Infinity, pathExists: false };
+const emptyStats = (algorithm, strict) => ({
+  algorithm,
+  strict,
+  nodesExpanded: 0,
+  pathCost: Infinity,
+  runtimeMs: 0,
+});
+
+// Returns { path, distance, pathExists, status, partial, stats, trace }.
+// status is a SEARCH_STATUS value; endpoints on walls are invalid. With
+// options.allowPartial a failed search still returns the path towards the
+// goal, flagged by partial: true and pathExists: false. stats reports { algorithm, strict, nodesExpanded,
+// pathCost, runtimeMs } for comparing strategies and trace is the strategy's
+// expansion record when options.trace is set. Other options are documented in
+// searchAlgorithms.js.
+export const findShortestGraphPath = (startKey, endKey, graphData, options = {}) => {
+  const { algorithm = DEFAULT_ALGORITHM, strict = false } = options;
+  const strategy = SEARCH_ALGORITHMS[algorithm];
+  if (!strategy) throw new Error(`Unknown search algorithm: ${algorithm}`);
+  if (!supportsTopology(algorithm, graphData.topology)) {
+    throw new Error(`Search algorithm ${algorithm} does not support ${graphData.topology} grids`);
+  }
+
+  const { walls, gridWidth, gridHeight } = graphData;
+  const size = gridWidth * gridHeight;
+  const isValidKey = (key) => Number.isInteger(key) && key >= 0 && key < size && !walls[key];
+  if (!isValidKey(startKey) || !isValidKey(endKey)) {
+    return {
+      path: [],
+      distance: Infinity,
+      pathExists: false,
+      status: SEARCH_STATUS.INVALID_ENDPOINT,
+      partial: false,
+      stats: emptyStats(algorithm, strict),
+      trace: null,
+    };
   }
   if (startKey === endKey) {
-    return { path: [startKey], distance: 0, pathExists: true };
-  }
-
-  const { gCost, previous } = dijkstraGraph(startKey, endKey, graphData);
-  const path = reconstructPath(previous, startKey, endKey);
+    return {
+      path: [startKey],
+      distance: 0,
+      pathExists: true,
+      status: SEARCH_STATUS.FOUND,
+      partial: false,
+      stats: { ...emptyStats(algorithm, strict), pathCost: 0 },
+      trace: null,
+    };
+  }
+
+  const startedAt = performance.now();
+  const { path, expanded, trace, status } = strategy.search(startKey, endKey, graphData, options);
+  const runtimeMs = performance.now() - startedAt;
+  const found = status === SEARCH_STATUS.FOUND;
+  const distance = found ? pathCost(path, graphData, options.edgeCost) : Infinity;
 
   return {
     path,
-    distance: gCost.get(endKey) ?? Infinity,
-    pathExists: path.length > 0,
+    distance,
+    pathExists: found,
+    status,
+    partial: !found && path.length > 0,
+    stats: { algorithm, strict, nodesExpanded: expanded, pathCost: distance, runtimeMs },
+    trace,
   };
 };
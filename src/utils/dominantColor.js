@@ -0,0 +1,58 @@
+// Dominant colour of an image: the most common mid-brightness colour among
+// every 10th pixel, as an "r,g,b" string (white when every sampled pixel is
+// too dark or too light). Resolves null when the image fails to load or
+// can't be read back (no CORS headers). Results are cached per URL, so the
+// portfolio cards and the scene's landmarks load each logo once.
+
+const SAMPLE_STRIDE = 40;              // bytes between samples: every 10th RGBA pixel
+const MIN_BRIGHTNESS = 50;
+const MAX_BRIGHTNESS = 200;
+const FALLBACK_RGB = '255,255,255';
+
+const cache = new Map();
+
+const mostCommonColor = (pixels) => {
+  const colorCounts = new Map();
+  for (let i = 0; i < pixels.length; i += SAMPLE_STRIDE) {
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const brightness = (r + g + b) / 3;
+    if (brightness <= MIN_BRIGHTNESS || brightness >= MAX_BRIGHTNESS) continue;
+    const color = `${r},${g},${b}`;
+    colorCounts.set(color, (colorCounts.get(color) ?? 0) + 1);
+  }
+  let best = FALLBACK_RGB;
+  let bestCount = 0;
+  for (const [color, count] of colorCounts) {
+    if (count > bestCount) {
+      bestCount = count;
+      best = color;
+    }
+  }
+  return best;
+};
+
+const loadDominantColor = (src) => new Promise((resolve) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = img.width;
+    canvas.height = img.height;
+    ctx.drawImage(img, 0, 0);
+    try {
+      resolve(mostCommonColor(ctx.getImageData(0, 0, canvas.width, canvas.height).data));
+    } catch {
+      resolve(null);
+    }
+  };
+  img.onerror = () => resolve(null);
+  img.src = src;
+});
+
+export const findDominantColor = (src) => {
+  if (!cache.has(src)) cache.set(src, loadDominantColor(src));
+  return cache.get(src);
+};
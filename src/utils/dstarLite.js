@@ -0,0 +1,190 @@
+// D* Lite (Koenig & Likhachev) for routes whose cell weights change while the
+// route is being walked. It searches backwards from the goal, so after the
+// walker moves and some weights change only the affected part of the cost
+// field is repaired instead of searching again from scratch.
+//
+// Costs match the other searches: moves follow the graph's topology, each
+// priced by edgeCostFor over the weights as last sensed, and walls can't be
+// entered. Ground heights are taken as fixed; only weights and walls drift.
+// The heuristic uses heuristicScaleFor, so outside strict mode routes are
+// near-optimal, like weighted A*. In strict mode it is scaled by no more than
+// MIN_WEIGHT, the floor every terrain keeps to, so it stays admissible however
+// far the weights drift below the first graph's cheapest cell.
+
+import { IndexedPairHeap } from './indexedHeap';
+import { edgeCostFor, heuristicScaleFor } from './searchAlgorithms';
+import { topologyOf } from './topology';
+import { MIN_WEIGHT } from './terrain';
+
+const WEIGHT_EPSILON = 1e-6;
+
+export class DStarLite {
+  constructor(graphData, startKey, goalKey, { strict = false } = {}) {
+    const { gridWidth, gridHeight } = graphData;
+    const size = gridWidth * gridHeight;
+    this.gridWidth = gridWidth;
+    this.gridHeight = gridHeight;
+    this.topology = topologyOf(graphData.topology);
+    this.weights = Float32Array.from(graphData.weights);   // weights as last sensed
+    this.walls = Uint8Array.from(graphData.walls);
+    this.edgeCost = edgeCostFor({ ...graphData, weights: this.weights });
+    this.heuristicScale = strict
+      ? Math.min(heuristicScaleFor(graphData, strict), MIN_WEIGHT)
+      : heuristicScaleFor(graphData, strict);
+    this.goalKey = goalKey;
+    this.startKey = startKey;
+    this.lastKey = startKey;    // start when km was last brought up to date
+    this.km = 0;
+    this.g = new Float64Array(size).fill(Infinity);
+    this.rhs = new Float64Array(size).fill(Infinity);
+    this.open = new IndexedPairHeap(size);
+    this.neighbors = new Int32Array(this.topology.maxNeighbors);   // scratch for updateVertex and path
+    this.around = new Int32Array(this.topology.maxNeighbors);      // scratch for the callers of updateVertex
+    this.expanded = 0;          // expansions over the planner's lifetime
+
+    this.rhs[goalKey] = 0;
+    this.open.set(goalKey, this.heuristic(startKey, goalKey), 0);
+  }
+
+  heuristic(a, b) {
+    return this.topology.distance(a, b, this.gridWidth) * this.heuristicScale;
+  }
+
+  // Writes every neighbour on the board into `out`, walls included: a wall
+  // can still be left. Returns the count.
+  gridNeighbors(key, out) {
+    return this.topology.neighbors(key, this.gridWidth, this.gridHeight, null, out);
+  }
+
+  updateAround(key) {
+    const { around } = this;
+    const count = this.gridNeighbors(key, around);
+    for (let i = 0; i < count; i++) this.updateVertex(around[i]);
+  }
+
+  // A diagonal's cost also depends on the walls beside it, which are always
+  // neighbours of both its ends, so updateAround still reaches every vertex
+  // a wall change affects.
+  cost(from, to) {
+    const { topology, gridWidth } = this;
+    if (!topology.canStep(from, to, gridWidth, this.walls)) return Infinity;
+    return this.edgeCost(from, to);
+  }
+
+  updateVertex(key) {
+    if (key !== this.goalKey) {
+      let best = Infinity;
+      const count = this.gridNeighbors(key, this.neighbors);
+      for (let i = 0; i < count; i++) {
+        const next = this.neighbors[i];
+        const candidate = this.cost(key, next) + this.g[next];
+        if (candidate < best) best = candidate;
+      }
+      this.rhs[key] = best;
+    }
+    const { g, rhs } = this;
+    if (g[key] !== rhs[key]) {
+      const k2 = Math.min(g[key], rhs[key]);
+      this.open.set(key, k2 + this.heuristic(this.startKey, key) + this.km, k2);
+    } else {
+      this.open.remove(key);
+    }
+  }
+
+  // Repairs the cost field until the start's cost is settled. Returns the
+  // number of expansions this call took.
+  computePath() {
+    const { open, g, rhs } = this;
+    const start = this.startKey;
+    const before = this.expanded;
+    const startK2 = () => Math.min(g[start], rhs[start]);
+    const startBeforeTop = () => {
+      const k2 = startK2();
+      const k1 = k2 + this.km;   // heuristic(start, start) is 0
+      const top1 = open.peekPriority();
+      return top1 > k1 || (top1 === k1 && open.peekSecondary() >= k2);
+    };
+
+    while (!open.isEmpty() && (!startBeforeTop() || rhs[start] > g[start])) {
+      const key = open.peek();
+      const oldK1 = open.peekPriority();
+      const oldK2 = open.peekSecondary();
+      const k2 = Math.min(g[key], rhs[key]);
+      const k1 = k2 + this.heuristic(start, key) + this.km;
+      this.expanded++;
+
+      if (oldK1 < k1 || (oldK1 === k1 && oldK2 < k2)) {
+        open.set(key, k1, k2);
+      } else if (g[key] > rhs[key]) {
+        g[key] = rhs[key];
+        open.remove(key);
+        this.updateAround(key);
+      } else {
+        g[key] = Infinity;
+        this.updateAround(key);
+        this.updateVertex(key);
+      }
+    }
+    return this.expanded - before;
+  }
+
+  // The walker has moved to `key`. Call computePath afterwards.
+  moveTo(key) {
+    this.startKey = key;
+  }
+
+  // Senses new weights/walls (walls may be null for none). Cells whose
+  // weight moved by more than `threshold`, or whose wall flag flipped, are
+  // taken in; returns their keys. Call computePath afterwards.
+  updateGraph(weights, walls, threshold = 0) {
+    const changed = [];
+    const size = this.weights.length;
+    for (let key = 0; key < size; key++) {
+      const wallChanged = (walls ? walls[key] : 0) !== this.walls[key];
+      if (wallChanged || Math.abs(weights[key] - this.weights[key]) > threshold + WEIGHT_EPSILON) {
+        changed.push(key);
+      }
+    }
+    if (changed.length === 0) return changed;
+
+    // Heuristic values shift with the start; km keeps old keys comparable.
+    this.km += this.heuristic(this.lastKey, this.startKey);
+    this.lastKey = this.startKey;
+    for (const key of changed) {
+      this.weights[key] = weights[key];
+      this.walls[key] = walls ? walls[key] : 0;
+    }
+    // Entering (or passing beside) a changed cell costs differently, so each
+    // neighbour's best successor may change.
+    for (const key of changed) this.updateAround(key);
+    return changed;
+  }
+
+  // Greedy descent of the cost field from the start to the goal; [] when the
+  // goal can't be reached.
+  path() {
+    const { g, rhs, goalKey } = this;
+    const path = [this.startKey];
+    // The start itself is only made locally consistent, so read rhs there.
+    if (rhs[this.startKey] === Infinity && this.startKey !== goalKey) return [];
+    let current = this.startKey;
+    const limit = this.weights.length;
+    while (current !== goalKey && path.length <= limit) {
+      let best = -1;
+      let bestCost = Infinity;
+      const count = this.gridNeighbors(current, this.neighbors);
+      for (let i = 0; i < count; i++) {
+        const next = this.neighbors[i];
+        const candidate = this.cost(current, next) + g[next];
+        if (candidate < bestCost) {
+          bestCost = candidate;
+          best = next;
+        }
+      }
+      if (best < 0) return [];
+      path.push(best);
+      current = best;
+    }
+    return current === goalKey ? path : [];
+  }
+}
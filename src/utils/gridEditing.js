@@ -0,0 +1,88 @@
+// Hand edits to a generated graph. Stop tools move the route's start, end
+// or waypoints; brush tools repaint cells. Edits never mutate the graph they
+// are given — applyBrush returns a fresh graphData so React sees the change.
+
+import { createGraphData, keyToX, keyToY, coordToKey } from './dijkstra';
+import { DEFAULT_TOPOLOGY, topologyOf } from './topology';
+
+const HEAVY_WEIGHT = 12;
+const LIGHT_WEIGHT = 0.2;
+
+export const EDIT_TOOLS = {
+  start: { label: 'Start', kind: 'stop' },
+  end: { label: 'End', kind: 'stop' },
+  waypoint: { label: 'Waypoint', kind: 'stop' },
+  wall: { label: 'Wall', kind: 'brush' },
+  erase: { label: 'Erase', kind: 'brush' },
+  heavy: { label: 'Heavy', kind: 'brush' },
+  light: { label: 'Light', kind: 'brush' },
+};
+
+export const DEFAULT_EDIT_TOOL = 'wall';
+
+// Per-brush cell update: (walls, weights, key) => whether the cell changed.
+const BRUSHES = {
+  wall: (walls, weights, key) => {
+    if (walls[key]) return false;
+    walls[key] = 1;
+    return true;
+  },
+  erase: (walls, weights, key) => {
+    if (!walls[key]) return false;
+    walls[key] = 0;
+    return true;
+  },
+  heavy: (walls, weights, key) => {
+    if (walls[key] || weights[key] === HEAVY_WEIGHT) return false;
+    weights[key] = HEAVY_WEIGHT;
+    return true;
+  },
+  light: (walls, weights, key) => {
+    if (walls[key] || weights[key] === LIGHT_WEIGHT) return false;
+    weights[key] = LIGHT_WEIGHT;
+    return true;
+  },
+};
+
+// Paints `keys` with `brush`, leaving `protectedKeys` (the route's stops)
+// untouched. Returns the new graph, or the same graph if nothing changed.
+export const applyBrush = (graph, keys, brush, protectedKeys) => {
+  const paint = BRUSHES[brush];
+  if (!paint) throw new Error(`Unknown brush: ${brush}`);
+  const weights = Float32Array.from(graph.weights);
+  const walls = Uint8Array.from(graph.walls);
+  let changed = false;
+  for (const key of keys) {
+    if (protectedKeys.has(key)) continue;
+    if (paint(walls, weights, key)) changed = true;
+  }
+  return changed ? createGraphData(weights, graph.gridWidth, graph.gridHeight, walls, graph.topology, graph.heights) : graph;
+};
+
+// Moves a stop to `key`. 'waypoint' toggles a waypoint there instead. Stops
+// cannot sit on walls; returns the same stops object when nothing changes.
+export const placeStop = (stops, tool, key, graph) => {
+  if (graph.walls[key]) return stops;
+  const { gridWidth } = graph;
+  const point = { x: keyToX(key, gridWidth), y: keyToY(key, gridWidth) };
+  if (tool === 'start') return { ...stops, start: point };
+  if (tool === 'end') return { ...stops, end: point };
+  if (tool === 'waypoint') {
+    const index = stops.waypoints.findIndex((p) => p.x === point.x && p.y === point.y);
+    const waypoints = index >= 0
+      ? stops.waypoints.filter((_, i) => i !== index)
+      : [...stops.waypoints, point];
+    return { ...stops, waypoints };
+  }
+  throw new Error(`Unknown stop tool: ${tool}`);
+};
+
+// Cells of every stop, further agents' endpoints included.
+export const stopKeys = ({ start, end, waypoints, agents = [] }, gridWidth) =>
+  new Set([start, end, ...waypoints, ...agents.flatMap((agent) => [agent.start, agent.end])]
+    .map((p) => coordToKey(p.x, p.y, gridWidth)));
+
+// Cells on the straight line from `fromKey` to `toKey` on a `topology`
+// board, so a fast drag still paints a continuous stroke.
+export const cellsBetween = (fromKey, toKey, gridWidth, topology = DEFAULT_TOPOLOGY) =>
+  topologyOf(topology).line(fromKey, toKey, gridWidth);
@@ -0,0 +1,192 @@
+// Binary min-heap over integer keys in [0, capacity). Each key is queued at
+// most once: push() on a queued key lowers its priority in place
+// (decrease-key) instead of adding a duplicate entry. All state lives in
+// typed arrays sized once, so a heap can be cleared and reused across searches.
+
+export class IndexedMinHeap {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.heap = new Int32Array(capacity);                // heap slot -> key
+    this.position = new Int32Array(capacity).fill(-1);   // key -> heap slot, -1 if absent
+    this.priority = new Float64Array(capacity);          // key -> priority
+    this.size = 0;
+  }
+
+  isEmpty() {
+    return this.size === 0;
+  }
+
+  has(key) {
+    return this.position[key] >= 0;
+  }
+
+  peek() {
+    return this.size > 0 ? this.heap[0] : -1;
+  }
+
+  peekPriority() {
+    return this.size > 0 ? this.priority[this.heap[0]] : Infinity;
+  }
+
+  // Inserts `key`, or lowers its priority if already queued. Returns false
+  // when the key is queued with an equal or lower priority already.
+  push(key, priority) {
+    const pos = this.position[key];
+    if (pos >= 0) {
+      if (priority >= this.priority[key]) return false;
+      this.priority[key] = priority;
+      this.siftUp(pos);
+      return true;
+    }
+    this.priority[key] = priority;
+    this.heap[this.size] = key;
+    this.position[key] = this.size;
+    this.siftUp(this.size++);
+    return true;
+  }
+
+  pop() {
+    if (this.size === 0) return -1;
+    const heap = this.heap;
+    const top = heap[0];
+    this.position[top] = -1;
+    this.size--;
+    if (this.size > 0) {
+      const last = heap[this.size];
+      heap[0] = last;
+      this.position[last] = 0;
+      this.siftDown(0);
+    }
+    return top;
+  }
+
+  clear() {
+    for (let i = 0; i < this.size; i++) this.position[this.heap[i]] = -1;
+    this.size = 0;
+  }
+
+  // Queued keys in heap order (not sorted).
+  toArray() {
+    return Array.from(this.heap.subarray(0, this.size));
+  }
+
+  siftUp(index) {
+    const { heap, position, priority } = this;
+    const key = heap[index];
+    const p = priority[key];
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      const parentKey = heap[parent];
+      if (priority[parentKey] <= p) break;
+      heap[index] = parentKey;
+      position[parentKey] = index;
+      index = parent;
+    }
+    heap[index] = key;
+    position[key] = index;
+  }
+
+  siftDown(index) {
+    const { heap, position, priority } = this;
+    const len = this.size;
+    const key = heap[index];
+    const p = priority[key];
+    while (true) {
+      const left = 2 * index + 1;
+      if (left >= len) break;
+      const right = left + 1;
+      let child = left;
+      if (right < len && priority[heap[right]] < priority[heap[left]]) child = right;
+      const childKey = heap[child];
+      if (priority[childKey] >= p) break;
+      heap[index] = childKey;
+      position[childKey] = index;
+      index = child;
+    }
+    heap[index] = key;
+    position[key] = index;
+  }
+}
+
+// IndexedMinHeap ordered by (priority, secondary) pairs, compared
+// lexicographically, with arbitrary priority updates and removal — the
+// queue D* Lite needs for its two-part keys.
+export class IndexedPairHeap extends IndexedMinHeap {
+  constructor(capacity) {
+    super(capacity);
+    this.secondary = new Float64Array(capacity);   // key -> tie-break priority
+  }
+
+  peekSecondary() {
+    return this.size > 0 ? this.secondary[this.heap[0]] : Infinity;
+  }
+
+  less(a, b) {
+    const pa = this.priority[a];
+    const pb = this.priority[b];
+    return pa < pb || (pa === pb && this.secondary[a] < this.secondary[b]);
+  }
+
+  // Inserts `key` or moves it to the new priority, up or down.
+  set(key, priority, secondary) {
+    this.priority[key] = priority;
+    this.secondary[key] = secondary;
+    const pos = this.position[key];
+    if (pos < 0) {
+      this.heap[this.size] = key;
+      this.position[key] = this.size;
+      this.siftUp(this.size++);
+    } else {
+      this.siftUp(pos);
+      this.siftDown(this.position[key]);
+    }
+  }
+
+  remove(key) {
+    const pos = this.position[key];
+    if (pos < 0) return;
+    this.position[key] = -1;
+    this.size--;
+    if (pos === this.size) return;
+    const last = this.heap[this.size];
+    this.heap[pos] = last;
+    this.position[last] = pos;
+    this.siftUp(pos);
+    this.siftDown(this.position[last]);
+  }
+
+  siftUp(index) {
+    const { heap, position } = this;
+    const key = heap[index];
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      const parentKey = heap[parent];
+      if (!this.less(key, parentKey)) break;
+      heap[index] = parentKey;
+      position[parentKey] = index;
+      index = parent;
+    }
+    heap[index] = key;
+    position[key] = index;
+  }
+
+  siftDown(index) {
+    const { heap, position } = this;
+    const len = this.size;
+    const key = heap[index];
+    while (true) {
+      const left = 2 * index + 1;
+      if (left >= len) break;
+      const right = left + 1;
+      let child = left;
+      if (right < len && this.less(heap[right], heap[left])) child = right;
+      const childKey = heap[child];
+      if (!this.less(childKey, key)) break;
+      heap[index] = childKey;
+      position[childKey] = index;
+      index = child;
+    }
+    heap[index] = key;
+    position[key] = index;
+  }
+}
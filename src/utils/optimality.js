@@ -0,0 +1,102 @@
+// Optimality checks for the search strategies: re-solve with plain Dijkstra
+// and compare costs. runOptimalityRegression sweeps seeded graphs so a
+// change to a heuristic can be checked with `npm run test:optimality`
+// (scripts/optimality.js, which fails on any strict mismatch) or from the dev
+// console, e.g.
+//   (await import('/src/utils/optimality.js')).runOptimalityRegression()
+
+import { generateGraphStructure, findShortestGraphPath } from './dijkstra';
+import { DEFAULT_TERRAIN } from './terrain';
+import { createRng } from './random';
+
+const COST_EPSILON = 1e-6;             // relative slack for float summation order
+
+// Returns { candidateCost, optimalCost, absoluteError, relativeError, isOptimal }.
+// `options` is passed to findShortestGraphPath for the candidate search.
+export const verifyPathOptimality = (startKey, endKey, graphData, options = {}) => {
+  const candidate = findShortestGraphPath(startKey, endKey, graphData, options);
+  const reference = findShortestGraphPath(startKey, endKey, graphData, { algorithm: 'dijkstra' });
+  const candidateCost = candidate.distance;
+  const optimalCost = reference.distance;
+
+  if (!reference.pathExists) {
+    return {
+      candidateCost,
+      optimalCost,
+      absoluteError: 0,
+      relativeError: 0,
+      isOptimal: !candidate.pathExists,
+    };
+  }
+
+  const absoluteError = candidateCost - optimalCost;
+  const relativeError = optimalCost > 0 ? absoluteError / optimalCost : 0;
+  return {
+    candidateCost,
+    optimalCost,
+    absoluteError,
+    relativeError,
+    isOptimal: absoluteError <= optimalCost * COST_EPSILON,
+  };
+};
+
+// Runs the strict and fast modes of `algorithm` against Dijkstra on
+// `graphCount` seeded graphs of the given terrain with `pairsPerGraph` seeded
+// endpoint pairs each (redrawn until both ends are open cells).
+// Strict mode must never be suboptimal; any such case lands in `failures`.
+// The fast-mode summary shows how far the default heuristic drifts.
+export const runOptimalityRegression = ({
+  seed = 1,
+  graphCount = 40,
+  pairsPerGraph = 5,
+  gridWidth = 40,
+  gridHeight = 30,
+  algorithm = 'astar',
+  terrain = DEFAULT_TERRAIN,
+} = {}) => {
+  const rng = createRng(seed);
+  const failures = [];
+  let cases = 0;
+  let fastSuboptimal = 0;
+  let fastErrorSum = 0;
+  let fastMaxError = 0;
+
+  for (let g = 0; g < graphCount; g++) {
+    const graphSeed = rng.int(1000) + 1;
+    const detail = rng.range(1, 6);
+    const graph = generateGraphStructure(gridWidth, gridHeight, graphSeed, detail, terrain);
+    const openKey = () => {
+      let key;
+      do key = rng.int(graph.nodes.size); while (graph.walls[key]);
+      return key;
+    };
+
+    for (let p = 0; p < pairsPerGraph; p++) {
+      const startKey = openKey();
+      const endKey = openKey();
+      cases++;
+
+      const strict = verifyPathOptimality(startKey, endKey, graph, { algorithm, strict: true });
+      if (!strict.isOptimal) {
+        failures.push({ graphSeed, detail, startKey, endKey, ...strict });
+      }
+
+      const fast = verifyPathOptimality(startKey, endKey, graph, { algorithm });
+      if (!fast.isOptimal) fastSuboptimal++;
+      fastErrorSum += fast.relativeError;
+      fastMaxError = Math.max(fastMaxError, fast.relativeError);
+    }
+  }
+
+  return {
+    algorithm,
+    cases,
+    passed: failures.length === 0,
+    failures,
+    fast: {
+      suboptimalRate: cases > 0 ? fastSuboptimal / cases : 0,
+      meanRelativeError: cases > 0 ? fastErrorSum / cases : 0,
+      maxRelativeError: fastMaxError,
+    },
+  };
+};
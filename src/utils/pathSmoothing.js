@@ -0,0 +1,159 @@
+// Any-angle post-processing for grid paths. The searches only move between
+// neighbouring cells, so their routes are staircases (or zigzags on hex
+// boards); smoothPath keeps the route but drops every corner a straight line
+// of sight can skip, Theta*-style.
+//
+// Straight segments are checked against the same weight field the search
+// used. Costs compare as path integrals over it: a straight segment costs
+// each crossed cell's weight times the length inside that cell, and a grid
+// step the mean of its two cells' weights times the step's length. On boards
+// with heights both also pay slopeCost for every change of cell, so a
+// shortcut over a hill costs the climb the steps around it avoided. A
+// shortcut is only taken when it is open (no wall touched, corners included)
+// and no dearer than the steps it replaces.
+
+import { keyToX, keyToY } from './dijkstra';
+import { DEFAULT_TOPOLOGY, topologyOf } from './topology';
+import { slopeCost } from './searchAlgorithms';
+
+const COST_EPSILON = 1e-9;
+const CORNER_EPSILON = 1e-9;
+const HEX_SAMPLES_PER_UNIT = 16;       // line-of-sight samples per cell spacing on hex boards
+
+export const PATH_STYLES = {
+  grid: { label: 'Grid steps' },
+  straight: { label: 'Any-angle' },
+  curve: { label: 'Curve' },
+};
+
+export const DEFAULT_PATH_STYLE = 'grid';
+
+// Square boards: exact Amanatides–Woo traversal. Passing exactly through a
+// corner needs both cells beside it open.
+const squareSegmentCost = (fromKey, toKey, graph) => {
+  const { weights, walls, heights, gridWidth } = graph;
+  let x = keyToX(fromKey, gridWidth);
+  let y = keyToY(fromKey, gridWidth);
+  const dx = keyToX(toKey, gridWidth) - x;
+  const dy = keyToY(toKey, gridWidth) - y;
+  const length = Math.hypot(dx, dy);
+  const stepX = Math.sign(dx);
+  const stepY = Math.sign(dy);
+  // Progress along the segment (0..1) at which it crosses into the next column/row.
+  const deltaX = dx !== 0 ? 1 / Math.abs(dx) : Infinity;
+  const deltaY = dy !== 0 ? 1 / Math.abs(dy) : Infinity;
+  let nextX = deltaX / 2;
+  let nextY = deltaY / 2;
+  let t = 0;
+  let cost = 0;
+  let previous = fromKey;
+
+  while (true) {
+    const key = y * gridWidth + x;
+    if (walls[key]) return Infinity;
+    if (heights) cost += slopeCost(heights[key] - heights[previous], weights[key]);
+    previous = key;
+    const crossing = Math.min(nextX, nextY, 1);
+    cost += weights[key] * (crossing - t) * length;
+    if (crossing >= 1) return cost;
+    t = crossing;
+
+    if (Math.abs(nextX - nextY) < CORNER_EPSILON) {
+      if (walls[y * gridWidth + x + stepX] || walls[(y + stepY) * gridWidth + x]) return Infinity;
+      x += stepX;
+      y += stepY;
+      nextX += deltaX;
+      nextY += deltaY;
+    } else if (nextX < nextY) {
+      x += stepX;
+      nextX += deltaX;
+    } else {
+      y += stepY;
+      nextY += deltaY;
+    }
+  }
+};
+
+// Hex boards: hex edges don't line up with any axis, so the segment is
+// sampled at short, equal intervals and each sample charged to the cell
+// under it.
+const sampledSegmentCost = (fromKey, toKey, graph) => {
+  const { weights, walls, heights, gridWidth, gridHeight } = graph;
+  const { position, cellAt } = topologyOf(graph.topology);
+  const [ax, ay] = position(keyToX(fromKey, gridWidth), keyToY(fromKey, gridWidth));
+  const [bx, by] = position(keyToX(toKey, gridWidth), keyToY(toKey, gridWidth));
+  const length = Math.hypot(bx - ax, by - ay);
+  // Rounded, so a single step splits evenly between its two cells.
+  const samples = Math.max(1, Math.round(length * HEX_SAMPLES_PER_UNIT));
+  let cost = 0;
+  let climb = 0;
+  let previous = fromKey;
+  for (let i = 0; i < samples; i++) {
+    const t = (i + 0.5) / samples;
+    const key = cellAt(ax + (bx - ax) * t, ay + (by - ay) * t, gridWidth, gridHeight);
+    if (key < 0 || walls[key]) return Infinity;
+    cost += weights[key];
+    if (heights && key !== previous) climb += slopeCost(heights[key] - heights[previous], weights[key]);
+    previous = key;
+  }
+  return (cost * length) / samples + climb;
+};
+
+// Cost of the straight segment between the centres of cells `fromKey` and
+// `toKey`, Infinity if it touches a wall.
+export const segmentCost = (fromKey, toKey, graph) =>
+  (graph.topology === 'hex' ? sampledSegmentCost : squareSegmentCost)(fromKey, toKey, graph);
+
+// Indices into `path` of the corners the smoothed route keeps, first and
+// last included. From each kept corner the line of sight is stretched as far
+// along the path as it stays open and no dearer.
+export const smoothPath = (path, graph) => {
+  if (path.length < 3) return path.map((_, i) => i);
+  const { weights, heights, gridWidth } = graph;
+  const { stepLength } = topologyOf(graph.topology);
+  // stepCosts[i]: cost of the grid steps from path[0] to path[i].
+  const stepCosts = new Float64Array(path.length);
+  for (let i = 1; i < path.length; i++) {
+    const from = path[i - 1];
+    const to = path[i];
+    const step = stepLength(from, to, gridWidth);
+    stepCosts[i] = stepCosts[i - 1] + ((weights[from] + weights[to]) / 2) * step;
+    if (heights) stepCosts[i] += slopeCost(heights[to] - heights[from], weights[to]);
+  }
+
+  const corners = [0];
+  let from = 0;
+  while (from < path.length - 1) {
+    let to = from + 1;
+    while (
+      to + 1 < path.length &&
+      segmentCost(path[from], path[to + 1], graph) <= stepCosts[to + 1] - stepCosts[from] + COST_EPSILON
+    ) {
+      to++;
+    }
+    corners.push(to);
+    from = to;
+  }
+  return corners;
+};
+
+// The smoothed route as far as path[headIndex], in the topology's layout
+// units: the kept corners up to the head, then the head's point partway along
+// the straight segment it is walking.
+export const smoothedPointsTo = (path, corners, headIndex, gridWidth, topology = DEFAULT_TOPOLOGY) => {
+  const { position } = topologyOf(topology);
+  const pointAt = (index) => {
+    const [x, y] = position(keyToX(path[index], gridWidth), keyToY(path[index], gridWidth));
+    return { x, y };
+  };
+  const points = [];
+  let next = 0;
+  while (next < corners.length && corners[next] <= headIndex) points.push(pointAt(corners[next++]));
+  if (next > 0 && next < corners.length && corners[next - 1] !== headIndex) {
+    const from = pointAt(corners[next - 1]);
+    const to = pointAt(corners[next]);
+    const progress = (headIndex - corners[next - 1]) / (corners[next] - corners[next - 1]);
+    points.push({ x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress });
+  }
+  return points;
+};
@@ -0,0 +1,150 @@
+// Benchmarks the typed-array search core against the original Map/Set
+// implementation (kept below as the reference) on seeded graphs. Run it from
+// the dev console, e.g.
+//   (await import('/src/utils/pathfindingBenchmark.js')).runPathfindingBenchmark()
+
+import { PriorityQueue } from './priorityQueue';
+import { generateGraphStructure, findShortestGraphPath } from './dijkstra';
+import { HEURISTIC_SCALE, pathCost } from './searchAlgorithms';
+import { createRng } from './random';
+
+const COST_EPSILON = 1e-6;
+
+// The legacy search only knows open, flat, 4-connected grids, so the benchmark
+// sticks to terrain that is all three: Perlin fields have no walls or heights.
+const BENCHMARK_TERRAIN = 'perlin';
+const BENCHMARK_TOPOLOGY = 'square4';
+
+// Heuristic scale used by the legacy search for each comparable strategy.
+const LEGACY_SCALES = {
+  astar: HEURISTIC_SCALE,
+  dijkstra: 0,
+};
+
+// The pre-typed-array search: object entries in the heap, Map/Set state.
+// Square grids with unit steps only; walls are skipped but heights ignored.
+const legacySearch = (startKey, endKey, graphData, heuristicScale) => {
+  const { weights, walls, gridWidth, gridHeight } = graphData;
+  const gCost = new Map();
+  const previous = new Map();
+  const visited = new Set();
+  const pq = new PriorityQueue();
+  const lastRow = (gridHeight - 1) * gridWidth;
+
+  const endX = endKey % gridWidth;
+  const endY = (endKey - endX) / gridWidth;
+  const heuristic = (key) => {
+    const x = key % gridWidth;
+    const y = (key - x) / gridWidth;
+    return (Math.abs(x - endX) + Math.abs(y - endY)) * heuristicScale;
+  };
+
+  gCost.set(startKey, 0);
+  pq.enqueue(startKey, heuristic(startKey));
+
+  while (!pq.isEmpty()) {
+    const { element: currentKey } = pq.dequeue();
+    if (visited.has(currentKey)) continue;
+    visited.add(currentKey);
+    if (currentKey === endKey) break;
+
+    const currentG = gCost.get(currentKey);
+    const x = currentKey % gridWidth;
+    const candidates = [
+      x > 0 ? currentKey - 1 : -1,
+      x < gridWidth - 1 ? currentKey + 1 : -1,
+      currentKey >= gridWidth ? currentKey - gridWidth : -1,
+      currentKey < lastRow ? currentKey + gridWidth : -1,
+    ];
+
+    for (let i = 0; i < 4; i++) {
+      const nKey = candidates[i];
+      if (nKey < 0 || walls[nKey] || visited.has(nKey)) continue;
+      const tentativeG = currentG + weights[nKey];
+      const existing = gCost.get(nKey);
+      if (existing === undefined || tentativeG < existing) {
+        previous.set(nKey, currentKey);
+        gCost.set(nKey, tentativeG);
+        pq.enqueue(nKey, tentativeG + heuristic(nKey));
+      }
+    }
+  }
+
+  const path = [];
+  for (let current = endKey; current !== undefined; current = previous.get(current)) {
+    path.push(current);
+    if (current === startKey) return path.reverse();
+  }
+  return [];
+};
+
+// A random open cell of `graph`.
+const openKey = (graph, rng) => {
+  const size = graph.gridWidth * graph.gridHeight;
+  let key;
+  do key = rng.int(size); while (graph.walls[key]);
+  return key;
+};
+
+// Times both implementations on the same seeded graphs and endpoint pairs
+// (open cells of BENCHMARK_TERRAIN boards), with no node budget so large
+// grids are solved in full. Per algorithm the
+// report gives total milliseconds for each side, the speedup and how many
+// cases disagreed on path cost. Dijkstra must always agree; weighted A* may
+// differ where ties break differently.
+export const runPathfindingBenchmark = ({
+  seed = 1,
+  graphCount = 6,
+  pairsPerGraph = 4,
+  gridWidth = 160,
+  gridHeight = 160,
+  algorithms = Object.keys(LEGACY_SCALES),
+} = {}) => {
+  const rng = createRng(seed);
+  const size = gridWidth * gridHeight;
+  const results = {};
+  for (const algorithm of algorithms) {
+    results[algorithm] = { legacyMs: 0, typedMs: 0, speedup: 0, costMismatches: 0, maxCostDelta: 0 };
+  }
+
+  let cases = 0;
+  for (let g = 0; g < graphCount; g++) {
+    const graph = generateGraphStructure(
+      gridWidth,
+      gridHeight,
+      rng.int(1000) + 1,
+      rng.range(1, 6),
+      BENCHMARK_TERRAIN,
+      BENCHMARK_TOPOLOGY
+    );
+
+    for (let p = 0; p < pairsPerGraph; p++) {
+      const startKey = openKey(graph, rng);
+      const endKey = openKey(graph, rng);
+      cases++;
+
+      for (const algorithm of algorithms) {
+        const entry = results[algorithm];
+
+        const legacyStart = performance.now();
+        const legacyPath = legacySearch(startKey, endKey, graph, LEGACY_SCALES[algorithm]);
+        entry.legacyMs += performance.now() - legacyStart;
+
+        const typed = findShortestGraphPath(startKey, endKey, graph, { algorithm, maxNodes: size });
+        entry.typedMs += typed.stats.runtimeMs;
+
+        const legacyCost = legacyPath.length > 0 ? pathCost(legacyPath, graph) : Infinity;
+        const delta = Math.abs(legacyCost - typed.distance);
+        if (!(delta <= Math.max(legacyCost, 1) * COST_EPSILON)) {
+          entry.costMismatches++;
+          entry.maxCostDelta = Math.max(entry.maxCostDelta, delta);
+        }
+      }
+    }
+  }
+
+  for (const entry of Object.values(results)) {
+    entry.speedup = entry.typedMs > 0 ? entry.legacyMs / entry.typedMs : 0;
+  }
+  return { gridWidth, gridHeight, cases, results };
+};
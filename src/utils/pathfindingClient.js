@@ -0,0 +1,77 @@
+// Promise-based client for the pathfinding worker. Falls back to planning on
+// the main thread when workers are unavailable or the worker fails, so
+// callers always get the same async API and the same cycle shape.
+
+import { planCycle, serializeCycle, deserializeCycle, driftWeights } from './cyclePlanner';
+import { costOverlayRequest } from './costOverlay';
+
+const spawnWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../workers/pathfinding.worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+};
+
+// Per request type: the work as the worker does it, and how its reply is
+// unpacked. Running the same round trip inline keeps results identical.
+const REQUESTS = {
+  planCycle: { run: (params) => serializeCycle(planCycle(params)), decode: deserializeCycle },
+  driftWeights: { run: driftWeights, decode: (weights) => weights },
+  costOverlay: { run: costOverlayRequest, decode: (overlay) => overlay },
+};
+
+const runInline = (type, params) => REQUESTS[type].decode(REQUESTS[type].run(params).message);
+
+export const createPathfindingClient = () => {
+  let worker = spawnWorker();
+  let nextId = 0;
+  const pending = new Map();
+
+  const failAll = (reason) => {
+    for (const { reject } of pending.values()) reject(reason);
+    pending.clear();
+  };
+
+  if (worker) {
+    worker.onmessage = ({ data }) => {
+      const request = pending.get(data.id);
+      if (!request) return;
+      pending.delete(data.id);
+      if (data.error) request.reject(new Error(data.error));
+      else request.resolve(REQUESTS[request.type].decode(data.result));
+    };
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      worker.terminate();
+      worker = null;
+      failAll(new Error(event.message || 'Pathfinding worker failed'));
+    };
+  }
+
+  const request = (type, params) => {
+    if (!worker) {
+      return new Promise((resolve) => resolve(runInline(type, params)));
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { type, resolve, reject });
+      worker.postMessage({ id, type, params });
+    });
+  };
+
+  return {
+    // Resolves to { graph, scene, result } — see cyclePlanner.planCycle.
+    planCycle: (params) => request('planCycle', params),
+    // Resolves to the drifted weights — see cyclePlanner.driftWeights.
+    driftWeights: (params) => request('driftWeights', params),
+    // Resolves to the overlay or null — see costOverlay.computeCostOverlay.
+    costOverlay: (params) => request('costOverlay', params),
+    dispose() {
+      worker?.terminate();
+      worker = null;
+      failAll(new Error('Pathfinding client disposed'));
+    },
+  };
+};
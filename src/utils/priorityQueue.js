@@ -0,0 +1,60 @@
+// Binary min-heap of { element, priority } entries. Stale entries are not
+// removed on priority change — callers push again and skip closed nodes.
+
+export class PriorityQueue {
+  constructor() {
+    this.heap = [];
+  }
+
+  get size() {
+    return this.heap.length;
+  }
+
+  enqueue(element, priority) {
+    this.heap.push({ element, priority });
+    this.bubbleUp(this.heap.length - 1);
+  }
+
+  dequeue() {
+    const heap = this.heap;
+    if (heap.length === 0) return null;
+    if (heap.length === 1) return heap.pop();
+    const min = heap[0];
+    heap[0] = heap.pop();
+    this.bubbleDown(0);
+    return min;
+  }
+
+  peekPriority() {
+    return this.heap.length > 0 ? this.heap[0].priority : Infinity;
+  }
+
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  bubbleUp(index) {
+    const heap = this.heap;
+    while (index > 0) {
+      const parent = (index - 1) >> 1;
+      if (heap[parent].priority <= heap[index].priority) break;
+      [heap[parent], heap[index]] = [heap[index], heap[parent]];
+      index = parent;
+    }
+  }
+
+  bubbleDown(index) {
+    const heap = this.heap;
+    const len = heap.length;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = 2 * index + 2;
+      let smallest = index;
+      if (left < len && heap[left].priority < heap[smallest].priority) smallest = left;
+      if (right < len && heap[right].priority < heap[smallest].priority) smallest = right;
+      if (smallest === index) break;
+      [heap[index], heap[smallest]] = [heap[smallest], heap[index]];
+      index = smallest;
+    }
+  }
+}
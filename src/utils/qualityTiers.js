@@ -0,0 +1,14 @@
+// Rendering quality tiers, cheapest first. useAdaptiveQuality steps between
+// them as the measured frame time allows.
+//   dpr            device-pixel-ratio range handed to the Canvas
+//   bloom          whether the bloom pass runs at all
+//   multisampling  MSAA samples in the effect composer
+//   trailLights    point lights spread along the trails (SceneLighting)
+//   gridScale      share of the viewport-fitted grid size (useResponsiveGrid)
+export const QUALITY_TIERS = {
+  low: { label: 'Low', dpr: [0.75, 0.75], bloom: false, multisampling: 0, trailLights: 4, gridScale: 0.7 },
+  medium: { label: 'Medium', dpr: [1, 1], bloom: true, multisampling: 0, trailLights: 10, gridScale: 1 },
+  high: { label: 'High', dpr: [1, 1.5], bloom: true, multisampling: 2, trailLights: 18, gridScale: 1 },
+};
+
+export const QUALITY_TIER_ORDER = Object.keys(QUALITY_TIERS);
@@ -0,0 +1,16 @@
+// Small seeded PRNG (mulberry32). Same seed, same sequence — used wherever a
+// result has to be reproducible.
+
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.int = (maxExclusive) => Math.floor(next() * maxExclusive);
+  next.range = (min, max) => min + next() * (max - min);
+  return next;
+};
@@ -0,0 +1,258 @@
+// A scene is everything that determines one pathfinding cycle:
+//   { seed, detail, terrain, topology, gridWidth, gridHeight, start, end, waypoints, agents }
+// start/end/waypoints are the lead route; agents lists the { start, end }
+// pairs of any further agents sharing the grid with it.
+// All of it derives from `seed` through one seeded RNG, so a seed plus a grid
+// size replays a scene exactly; only the board's topology is picked by the
+// viewer rather than drawn. Scenes round-trip through URL query parameters
+// (e.g. /?seed=4821&detail=3.125&terrain=maze&topo=hex&w=48&h=27) for
+// sharing. terrain is a TERRAIN_GENERATORS key, topology a TOPOLOGIES key.
+// A scene loaded from a file (see sceneFile.js) also carries savedGraph,
+// which replaces the generated terrain.
+
+import { createRng } from './random';
+import { TERRAIN_GENERATORS } from './terrain';
+import { TOPOLOGIES, DEFAULT_TOPOLOGY } from './topology';
+
+const MAX_SEED = 999999;
+const MIN_DETAIL = 1.0;
+const MAX_DETAIL = 6.0;
+const DETAIL_PRECISION = 1000;         // detail is quantised so URLs stay exact
+const MIN_GRID_DIM = 5;
+const MAX_GRID_DIM = 200;
+const MIN_PATH_DISTANCE = 50;          // minimum Manhattan distance between endpoints
+const MAX_PLACEMENT_ATTEMPTS = 100;    // attempts to pick endpoints
+const MAX_WAYPOINTS = 8;               // up to N interior waypoints per path
+const MAX_LINKED_WAYPOINTS = 32;       // most a link may carry; each costs a search to order
+const WAYPOINT_INSET = 3;              // keep waypoints away from grid edge
+const WAYPOINT_MIN_SEPARATION = 10;    // Manhattan distance between waypoints/endpoints
+const WAYPOINT_SAMPLE_ATTEMPTS = 120;
+export const MAX_AGENTS = 4;           // lead route included
+
+const sampleEdgePoint = (rng, gridWidth, gridHeight) => {
+  const side = rng.int(4);
+  if (side === 0) return { x: rng.int(gridWidth), y: 0 };
+  if (side === 1) return { x: rng.int(gridWidth), y: gridHeight - 1 };
+  if (side === 2) return { x: 0, y: rng.int(gridHeight) };
+  return { x: gridWidth - 1, y: rng.int(gridHeight) };
+};
+
+const sampleAnyPoint = (rng, gridWidth, gridHeight) => ({
+  x: rng.int(gridWidth),
+  y: rng.int(gridHeight),
+});
+
+const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+const pickEndpoints = (rng, gridWidth, gridHeight) => {
+  for (let attempt = 0; attempt < MAX_PLACEMENT_ATTEMPTS; attempt++) {
+    const useEdge = attempt < MAX_PLACEMENT_ATTEMPTS * 0.8;
+    const start = useEdge ? sampleEdgePoint(rng, gridWidth, gridHeight) : sampleAnyPoint(rng, gridWidth, gridHeight);
+    const end = useEdge ? sampleEdgePoint(rng, gridWidth, gridHeight) : sampleAnyPoint(rng, gridWidth, gridHeight);
+    if (manhattan(start, end) >= MIN_PATH_DISTANCE) return { start, end };
+  }
+  return {
+    start: { x: 0, y: 0 },
+    end: { x: gridWidth - 1, y: gridHeight - 1 },
+  };
+};
+
+const sampleInteriorPoint = (rng, gridWidth, gridHeight) => {
+  const insetW = Math.max(0, gridWidth - 2 * WAYPOINT_INSET);
+  const insetH = Math.max(0, gridHeight - 2 * WAYPOINT_INSET);
+  return {
+    x: WAYPOINT_INSET + rng.int(insetW),
+    y: WAYPOINT_INSET + rng.int(insetH),
+  };
+};
+
+const pickWaypoints = (rng, start, end, gridWidth, gridHeight) => {
+  const count = rng.int(MAX_WAYPOINTS + 1); // 0..MAX_WAYPOINTS
+  if (count === 0) return [];
+
+  const taken = [start, end];
+  const waypoints = [];
+  let attempts = 0;
+  while (waypoints.length < count && attempts < WAYPOINT_SAMPLE_ATTEMPTS) {
+    attempts++;
+    const candidate = sampleInteriorPoint(rng, gridWidth, gridHeight);
+    let ok = true;
+    for (const p of taken) {
+      if (manhattan(p, candidate) < WAYPOINT_MIN_SEPARATION) { ok = false; break; }
+    }
+    if (ok) {
+      waypoints.push(candidate);
+      taken.push(candidate);
+    }
+  }
+  return waypoints;
+};
+
+const samePoint = (a, b) => a.x === b.x && a.y === b.y;
+
+// Exactly `count` distinct interior stops, as spread out as the board
+// allows: the required separation halves whenever it can't be met in
+// WAYPOINT_SAMPLE_ATTEMPTS draws. Fewer only on a board too small for them.
+const pickStops = (rng, count, gridWidth, gridHeight) => {
+  const stops = [];
+  let separation = WAYPOINT_MIN_SEPARATION;
+  let attempts = 0;
+  while (stops.length < count) {
+    if (attempts >= WAYPOINT_SAMPLE_ATTEMPTS) {
+      if (separation === 0) break;
+      separation = Math.floor(separation / 2);
+      attempts = 0;
+    }
+    attempts++;
+    const candidate = sampleInteriorPoint(rng, gridWidth, gridHeight);
+    if (stops.every((p) => manhattan(p, candidate) >= Math.max(1, separation))) stops.push(candidate);
+  }
+  return stops;
+};
+
+// `count` further agents whose starts and ends don't coincide with any other
+// agent's. An agent whose endpoints keep colliding is left out.
+const pickAgents = (rng, count, start, end, gridWidth, gridHeight) => {
+  const starts = [start];
+  const ends = [end];
+  const agents = [];
+  for (let i = 0; i < count; i++) {
+    const agent = pickEndpoints(rng, gridWidth, gridHeight);
+    if (starts.some((p) => samePoint(p, agent.start)) || ends.some((p) => samePoint(p, agent.end))) continue;
+    starts.push(agent.start);
+    ends.push(agent.end);
+    agents.push(agent);
+  }
+  return agents;
+};
+
+export const randomSeed = () => 1 + Math.floor(Math.random() * MAX_SEED);
+
+// Draws the next scene seed from a seeded sequence (see createRng).
+export const nextSceneSeed = (rng) => 1 + rng.int(MAX_SEED);
+
+// Fills in every field `partial` leaves out from the RNG seeded with
+// partial.seed (random if absent). Fields are drawn in a fixed order —
+// detail, endpoints, waypoints, terrain, agents — so a bare seed replays the
+// same scene and a fully specified one replays exactly. Options: terrains,
+// the generators the terrain is drawn from (all by default); agentCount,
+// counting the lead route, so 1 means no further agents; topology, the board
+// used unless `partial` names one; stopCount, when 2 or more, draws exactly
+// that many stops spread over the interior in place of the endpoints and
+// waypoints (the first is the start, the last the end).
+export const resolveScene = (partial, gridWidth, gridHeight, {
+  terrains = Object.keys(TERRAIN_GENERATORS),
+  agentCount = 1,
+  topology = DEFAULT_TOPOLOGY,
+  stopCount = null,
+} = {}) => {
+  const seed = partial.seed ?? randomSeed();
+  const rng = createRng(seed);
+  const width = partial.gridWidth ?? gridWidth;
+  const height = partial.gridHeight ?? gridHeight;
+
+  const detail = Math.round(rng.range(MIN_DETAIL, MAX_DETAIL) * DETAIL_PRECISION) / DETAIL_PRECISION;
+  const stops = stopCount >= 2 ? pickStops(rng, stopCount, width, height) : null;
+  const endpoints = stops
+    ? { start: stops[0], end: stops[stops.length - 1] }
+    : pickEndpoints(rng, width, height);
+  const start = partial.start ?? endpoints.start;
+  const end = partial.end ?? endpoints.end;
+  const waypoints = stops ? stops.slice(1, -1) : pickWaypoints(rng, start, end, width, height);
+  const terrain = terrains[rng.int(terrains.length)];
+  const agents = partial.agents ??
+    pickAgents(rng, Math.min(agentCount, MAX_AGENTS) - 1, start, end, width, height);
+
+  return {
+    seed,
+    detail: partial.detail ?? detail,
+    terrain: partial.terrain ?? terrain,
+    topology: partial.topology ?? topology,
+    gridWidth: width,
+    gridHeight: height,
+    start,
+    end,
+    waypoints: partial.waypoints ?? waypoints,
+    agents,
+  };
+};
+
+const formatPoint = ({ x, y }) => `${x},${y}`;
+
+export const encodeSceneParams = (scene, extra = {}) => {
+  const params = new URLSearchParams({
+    seed: String(scene.seed),
+    detail: String(scene.detail),
+    terrain: scene.terrain,
+    topo: scene.topology,
+    w: String(scene.gridWidth),
+    h: String(scene.gridHeight),
+    start: formatPoint(scene.start),
+    end: formatPoint(scene.end),
+  });
+  if (scene.waypoints.length > 0) params.set('wp', scene.waypoints.map(formatPoint).join(';'));
+  if (scene.agents.length > 0) {
+    params.set('agents', scene.agents.map(({ start, end }) => `${formatPoint(start)}>${formatPoint(end)}`).join(';'));
+  }
+  for (const [key, value] of Object.entries(extra)) {
+    if (value != null) params.set(key, String(value));
+  }
+  return params;
+};
+
+const parseInteger = (value, min, max) => {
+  if (value == null || !/^\d+$/.test(value)) return undefined;
+  const n = Number(value);
+  return n >= min && n <= max ? n : undefined;
+};
+
+const parsePoint = (value, gridWidth, gridHeight) => {
+  const match = /^(\d+),(\d+)$/.exec(value ?? '');
+  if (!match) return undefined;
+  const x = Number(match[1]);
+  const y = Number(match[2]);
+  return x < gridWidth && y < gridHeight ? { x, y } : undefined;
+};
+
+// Reads a partial scene from query parameters, or null without a valid
+// seed. Malformed or out-of-range fields are dropped and get re-derived from
+// the seed; points need an explicit grid size to be checked against. A
+// waypoint or agent list longer than MAX_LINKED_WAYPOINTS or MAX_AGENTS
+// counts as malformed.
+export const decodeSceneParams = (params) => {
+  const seed = parseInteger(params.get('seed'), 1, MAX_SEED);
+  if (seed === undefined) return null;
+
+  const partial = { seed };
+  const detail = Number(params.get('detail'));
+  if (params.has('detail') && detail >= MIN_DETAIL && detail <= MAX_DETAIL) partial.detail = detail;
+  const terrain = params.get('terrain');
+  if (terrain && Object.hasOwn(TERRAIN_GENERATORS, terrain)) partial.terrain = terrain;
+  const topology = params.get('topo');
+  if (topology && Object.hasOwn(TOPOLOGIES, topology)) partial.topology = topology;
+
+  const gridWidth = parseInteger(params.get('w'), MIN_GRID_DIM, MAX_GRID_DIM);
+  const gridHeight = parseInteger(params.get('h'), MIN_GRID_DIM, MAX_GRID_DIM);
+  if (gridWidth === undefined || gridHeight === undefined) return partial;
+  partial.gridWidth = gridWidth;
+  partial.gridHeight = gridHeight;
+
+  const start = parsePoint(params.get('start'), gridWidth, gridHeight);
+  const end = parsePoint(params.get('end'), gridWidth, gridHeight);
+  if (start) partial.start = start;
+  if (end) partial.end = end;
+  if (params.has('wp')) {
+    const waypoints = params.get('wp')
+      .split(';', MAX_LINKED_WAYPOINTS + 1)
+      .map((p) => parsePoint(p, gridWidth, gridHeight));
+    if (waypoints.length <= MAX_LINKED_WAYPOINTS && waypoints.every(Boolean)) partial.waypoints = waypoints;
+  }
+  if (params.has('agents')) {
+    const agents = params.get('agents').split(';').map((pair) => {
+      const [start, end] = pair.split('>').map((p) => parsePoint(p, gridWidth, gridHeight));
+      return start && end ? { start, end } : null;
+    });
+    if (agents.length < MAX_AGENTS && agents.every(Boolean)) partial.agents = agents;
+  }
+  return partial;
+};
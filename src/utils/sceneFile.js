@@ -0,0 +1,92 @@
+// Saved scenes: everything needed to replay the shown cycle, edits included,
+// as plain JSON.
+//   { format, version, scene, weights, walls, heights, path }
+// scene is the scene (see scene.js) with the stops as shown; weights holds
+// one entry per cell (key = y * gridWidth + x), walls the keys of wall cells,
+// heights one ground height per cell on boards that have them (omitted on
+// flat ones) and path the lead route as [{ x, y }], for reference only —
+// loading a file solves the route again. A loaded scene carries
+// savedGraph: { weights, walls, heights } in place of generated terrain.
+
+import { encodeSceneParams, decodeSceneParams } from './scene';
+import { keyToX, keyToY } from './dijkstra';
+
+export const SCENE_FILE_FORMAT = 'pathfinder-scene';
+export const SCENE_FILE_VERSION = 1;
+
+// `stops` and `path` as currently shown on `graph`, which may differ from
+// what `scene` alone generates.
+export const sceneToFile = (scene, graph, stops, path) => {
+  const { gridWidth } = graph;
+  const walls = [];
+  graph.walls.forEach((wall, key) => {
+    if (wall) walls.push(key);
+  });
+  return {
+    format: SCENE_FILE_FORMAT,
+    version: SCENE_FILE_VERSION,
+    scene: {
+      seed: scene.seed,
+      detail: scene.detail,
+      terrain: scene.terrain,
+      topology: graph.topology,
+      gridWidth,
+      gridHeight: graph.gridHeight,
+      start: stops.start,
+      end: stops.end,
+      waypoints: stops.waypoints,
+      agents: (stops.agents ?? []).map(({ start, end }) => ({ start, end })),
+    },
+    weights: Array.from(graph.weights),
+    walls,
+    ...(graph.heights && { heights: Array.from(graph.heights) }),
+    path: path.map((key) => ({ x: keyToX(key, gridWidth), y: keyToY(key, gridWidth) })),
+  };
+};
+
+const isPoint = (p) => Number.isInteger(p?.x) && Number.isInteger(p?.y);
+
+// Reads a parsed scene file back into a playable scene. Fields are held to
+// the same limits as a shared link (see decodeSceneParams); throws on
+// anything malformed.
+export const sceneFromFile = (data) => {
+  if (data?.format !== SCENE_FILE_FORMAT) throw new Error('Not a saved pathfinder scene');
+  if (data.version !== SCENE_FILE_VERSION) throw new Error(`Unsupported scene file version: ${data.version}`);
+  const { scene } = data;
+  const agents = scene?.agents ?? [];
+  if (!isPoint(scene?.start) || !isPoint(scene.end) ||
+      !Array.isArray(scene.waypoints) || !scene.waypoints.every(isPoint) ||
+      !Array.isArray(agents) || !agents.every((agent) => isPoint(agent?.start) && isPoint(agent?.end))) {
+    throw new Error('Invalid scene file: malformed stops');
+  }
+
+  const checked = decodeSceneParams(encodeSceneParams({ ...scene, agents }));
+  for (const field of ['seed', 'detail', 'terrain', 'topology', 'gridWidth', 'start', 'end']) {
+    if (checked?.[field] === undefined) throw new Error(`Invalid scene file: bad ${field}`);
+  }
+  if (scene.waypoints.length > 0 && !checked.waypoints) throw new Error('Invalid scene file: bad waypoints');
+  if (agents.length > 0 && !checked.agents) throw new Error('Invalid scene file: bad agents');
+
+  const size = checked.gridWidth * checked.gridHeight;
+  const { weights } = data;
+  if (!Array.isArray(weights) || weights.length !== size || !weights.every((w) => Number.isFinite(w) && w > 0)) {
+    throw new Error('Invalid scene file: weights must be one positive number per cell');
+  }
+  const walls = new Uint8Array(size);
+  for (const key of data.walls ?? []) {
+    if (!Number.isInteger(key) || key < 0 || key >= size) throw new Error(`Invalid scene file: bad wall ${key}`);
+    walls[key] = 1;
+  }
+  const { heights } = data;
+  if (heights !== undefined &&
+      (!Array.isArray(heights) || heights.length !== size || !heights.every((h) => Number.isFinite(h) && h >= 0))) {
+    throw new Error('Invalid scene file: heights must be one non-negative number per cell');
+  }
+
+  return {
+    ...checked,
+    waypoints: checked.waypoints ?? [],
+    agents: checked.agents ?? [],
+    savedGraph: { weights: Float32Array.from(weights), walls, heights: heights ? Float32Array.from(heights) : null },
+  };
+};
@@ -0,0 +1,530 @@
+// Interchangeable grid search strategies. Every strategy takes
+// (startKey, endKey, graphData, options) — graphData is the shape returned by
+// generateGraphStructure — and returns { path, expanded, trace, status }.
+// Moves follow the graph's topology (graphData.topology, a TOPOLOGIES key),
+// each one priced by an edge-cost function (see edgeCostFor), and wall cells
+// (graphData.walls) are never entered.
+//
+// Per-search state (g-cost, parent, closed flag) lives in typed arrays indexed
+// by node key, recycled through a small workspace pool, and the open set is an
+// IndexedMinHeap with decrease-key — no per-node objects, Maps or Sets.
+//
+// Options:
+//   trace        record the expansion order and periodic open-set snapshots
+//                (trace is null otherwise)
+//   strict       admissible heuristic (see heuristicScaleFor), making A* and
+//                bidirectional A* optimal
+//   maxNodes     expansion budget, DEFAULT_NODE_BUDGET if omitted
+//   maxTimeMs    wall-clock budget, unlimited if omitted
+//   allowPartial when the goal is not reached, return the path to the closed
+//                node nearest the goal instead of an empty path
+//   edgeCost     (fromKey, toKey) => cost of that step, edgeCostFor(graphData)
+//                if omitted; it must never undercut the entered cell's weight
+//                times the step's length, which the heuristics rely on
+
+import { IndexedMinHeap } from './indexedHeap';
+import { topologyOf } from './topology';
+
+export const HEURISTIC_SCALE = 0.8;   // Manhattan multiplier for weighted A*
+export const DEFAULT_NODE_BUDGET = 2000;
+export const UPHILL_COST = 3;          // per unit climbed, times the entered cell's weight
+export const DOWNHILL_COST = 0.5;      // per unit descended, likewise
+const SNAPSHOT_INTERVAL = 6;           // expansions between open-set snapshots
+const CLOCK_CHECK_INTERVAL = 32;       // expansions between time-budget checks
+const MAX_POOLED_WORKSPACES = 4;
+
+export const SEARCH_STATUS = {
+  FOUND: 'found',
+  UNREACHABLE: 'unreachable',
+  BUDGET_EXHAUSTED: 'budget_exhausted',
+  INVALID_ENDPOINT: 'invalid_endpoint',
+};
+
+// Call spent(expanded) right before closing a fresh node; once it returns
+// true the search must stop and `exhausted` stays set.
+const createBudget = (options) => {
+  const maxNodes = options.maxNodes ?? DEFAULT_NODE_BUDGET;
+  const deadline = options.maxTimeMs != null ? performance.now() + options.maxTimeMs : Infinity;
+  const budget = {
+    exhausted: false,
+    spent(expanded) {
+      if (expanded >= maxNodes ||
+          (deadline !== Infinity && expanded % CLOCK_CHECK_INTERVAL === 0 && performance.now() > deadline)) {
+        budget.exhausted = true;
+      }
+      return budget.exhausted;
+    },
+  };
+  return budget;
+};
+
+// Every unit of step length costs at least the cheapest cell weight, so the
+// topology's distance scaled by that weight never overestimates. The fast
+// default does not hold that guarantee once weights drop below 0.8.
+export const heuristicScaleFor = (graphData, strict) =>
+  strict ? graphData.minWeight : HEURISTIC_SCALE;
+
+// Heuristic towards `targetKey`: the topology's distance times `scale`.
+const distanceTo = (targetKey, graphData, scale) => {
+  const { distance } = topologyOf(graphData.topology);
+  const { gridWidth } = graphData;
+  return (key) => distance(key, targetKey, gridWidth) * scale;
+};
+
+// Collects { expansionOrder, frontierSnapshots }. Each snapshot is
+// { step, keys }: the open set after `step` expansions.
+const createTracer = (enabled) => {
+  if (!enabled) return null;
+  const trace = { expansionOrder: [], frontierSnapshots: [] };
+  return {
+    trace,
+    expand(key, frontier) {
+      trace.expansionOrder.push(key);
+      if (trace.expansionOrder.length % SNAPSHOT_INTERVAL === 0) {
+        trace.frontierSnapshots.push({ step: trace.expansionOrder.length, keys: frontier() });
+      }
+    },
+    finish(frontier) {
+      trace.frontierSnapshots.push({ step: trace.expansionOrder.length, keys: frontier() });
+      return trace;
+    },
+  };
+};
+
+// Remembers the closed node nearest the goal, for options.allowPartial.
+const createClosestTracker = (endKey, graphData) => {
+  const distance = distanceTo(endKey, graphData, 1);
+  const tracker = {
+    key: -1,
+    distance: Infinity,
+    offer(key) {
+      const d = distance(key);
+      if (d < tracker.distance) {
+        tracker.distance = d;
+        tracker.key = key;
+      }
+    },
+  };
+  return tracker;
+};
+
+const searchStatus = (found, budget) => {
+  if (found) return SEARCH_STATUS.FOUND;
+  return budget.exhausted ? SEARCH_STATUS.BUDGET_EXHAUSTED : SEARCH_STATUS.UNREACHABLE;
+};
+
+// Typed per-search state. Entries are only valid when stamped with the
+// current generation, so reset() is O(1) instead of refilling every array.
+// Costs are Float64 so long routes sum exactly like pathCost does.
+class SearchWorkspace {
+  constructor(size) {
+    this.size = size;
+    this.gCost = new Float64Array(size);
+    this.previous = new Int32Array(size);
+    this.seen = new Uint32Array(size);     // generation that wrote gCost/previous
+    this.closed = new Uint32Array(size);   // generation that closed the node
+    this.generation = 0;
+    this.open = new IndexedMinHeap(size);
+  }
+
+  reset() {
+    this.generation++;
+    if (this.generation === 0xffffffff) {
+      this.seen.fill(0);
+      this.closed.fill(0);
+      this.generation = 1;
+    }
+    this.open.clear();
+  }
+
+  g(key) {
+    return this.seen[key] === this.generation ? this.gCost[key] : Infinity;
+  }
+
+  relax(key, g, from) {
+    this.gCost[key] = g;
+    this.previous[key] = from;
+    this.seen[key] = this.generation;
+  }
+
+  isClosed(key) {
+    return this.closed[key] === this.generation;
+  }
+
+  close(key) {
+    this.closed[key] = this.generation;
+  }
+
+  // Follows parents from `key` back to `startKey`; [] if they don't connect.
+  pathTo(startKey, key) {
+    const path = [];
+    let current = key;
+    while (current >= 0 && this.seen[current] === this.generation) {
+      path.push(current);
+      if (current === startKey) return path.reverse();
+      current = this.previous[current];
+    }
+    return [];
+  }
+}
+
+const workspacePool = [];
+
+// Runs fn(workspace) with a reset workspace sized for the graph.
+const withWorkspace = (graphData, fn) => {
+  const size = graphData.gridWidth * graphData.gridHeight;
+  const index = workspacePool.findIndex((ws) => ws.size === size);
+  const workspace = index >= 0 ? workspacePool.splice(index, 1)[0] : new SearchWorkspace(size);
+  workspace.reset();
+  try {
+    return fn(workspace);
+  } finally {
+    if (workspacePool.length < MAX_POOLED_WORKSPACES) workspacePool.push(workspace);
+  }
+};
+
+// Extra cost of a height change of `rise` (negative going down) into a
+// cell of weight `weight`. Climbs cost more than descents, and neither is
+// ever negative.
+export const slopeCost = (rise, weight) =>
+  weight * (rise > 0 ? UPHILL_COST * rise : -DOWNHILL_COST * rise);
+
+// The graph's step cost: the entered cell's weight times the step's length,
+// plus slopeCost on boards with heights (graphData.heights, in the same
+// units as step lengths). Steps may cost differently in each direction.
+export const edgeCostFor = (graphData) => {
+  const { weights, heights, gridWidth } = graphData;
+  const { stepLength } = topologyOf(graphData.topology);
+  if (!heights) return (from, to) => weights[to] * stepLength(from, to, gridWidth);
+  return (from, to) =>
+    weights[to] * stepLength(from, to, gridWidth) + slopeCost(heights[to] - heights[from], weights[to]);
+};
+
+// Sum of the edge costs of every step along `path`.
+export const pathCost = (path, graphData, edgeCost = edgeCostFor(graphData)) => {
+  let cost = 0;
+  for (let i = 1; i < path.length; i++) cost += edgeCost(path[i - 1], path[i]);
+  return cost;
+};
+
+// Single-source Dijkstra over the whole grid: the cost of the cheapest route
+// from `sourceKey` into every cell, Infinity for walls and cut-off cells.
+// With towardSource, the cost from every cell to `sourceKey` instead.
+// edgeCost is as for the searches. Unbudgeted, for cost matrices and overlays
+// rather than animated searches.
+export const costField = (sourceKey, graphData, { towardSource = false, edgeCost = edgeCostFor(graphData) } = {}) =>
+  withWorkspace(graphData, (ws) => {
+    const { walls, gridWidth, gridHeight } = graphData;
+    const { neighbors: topologyNeighbors, maxNeighbors } = topologyOf(graphData.topology);
+    const { open, gCost } = ws;
+    const costs = new Float64Array(ws.size).fill(Infinity);
+    const neighbors = new Int32Array(maxNeighbors);
+
+    ws.relax(sourceKey, 0, -1);
+    open.push(sourceKey, 0);
+    while (!open.isEmpty()) {
+      const currentKey = open.pop();
+      ws.close(currentKey);
+      const currentG = gCost[currentKey];
+      costs[currentKey] = currentG;
+      const count = topologyNeighbors(currentKey, gridWidth, gridHeight, walls, neighbors);
+      for (let i = 0; i < count; i++) {
+        const nKey = neighbors[i];
+        if (ws.isClosed(nKey)) continue;
+        const step = towardSource ? edgeCost(nKey, currentKey) : edgeCost(currentKey, nKey);
+        const tentativeG = currentG + step;
+        if (tentativeG < ws.g(nKey)) {
+          ws.relax(nKey, tentativeG, currentKey);
+          open.push(nKey, tentativeG);
+        }
+      }
+    }
+    return costs;
+  });
+
+// Priority = costWeight * g + h. Covers Dijkstra (h = 0), weighted A* and
+// greedy best-first (costWeight = 0) with one loop.
+const bestFirst = (startKey, endKey, graphData, options, costWeight, heuristicScale) =>
+  withWorkspace(graphData, (ws) => {
+    const { walls, gridWidth, gridHeight } = graphData;
+    const { neighbors: topologyNeighbors, maxNeighbors } = topologyOf(graphData.topology);
+    const edgeCost = options.edgeCost ?? edgeCostFor(graphData);
+    const { open, gCost } = ws;
+    const tracer = createTracer(options.trace);
+    const frontier = () => open.toArray();
+    const heuristic = distanceTo(endKey, graphData, heuristicScale);
+    const neighbors = new Int32Array(maxNeighbors);
+    const budget = createBudget(options);
+    const closest = createClosestTracker(endKey, graphData);
+
+    ws.relax(startKey, 0, -1);
+    open.push(startKey, heuristic(startKey));
+
+    let expanded = 0;
+    let found = false;
+
+    while (!open.isEmpty()) {
+      if (budget.spent(expanded)) break;
+      const currentKey = open.pop();
+      ws.close(currentKey);
+      expanded++;
+      closest.offer(currentKey);
+      tracer?.expand(currentKey, frontier);
+
+      if (currentKey === endKey) { found = true; break; }
+
+      const currentG = gCost[currentKey];
+      const count = topologyNeighbors(currentKey, gridWidth, gridHeight, walls, neighbors);
+      for (let i = 0; i < count; i++) {
+        const nKey = neighbors[i];
+        if (ws.isClosed(nKey)) continue;
+        const tentativeG = currentG + edgeCost(currentKey, nKey);
+        if (tentativeG < ws.g(nKey)) {
+          ws.relax(nKey, tentativeG, currentKey);
+          open.push(nKey, costWeight * tentativeG + heuristic(nKey));
+        }
+      }
+    }
+
+    let path = [];
+    if (found) path = ws.pathTo(startKey, endKey);
+    else if (options.allowPartial) path = ws.pathTo(startKey, closest.key);
+    const trace = tracer?.finish(frontier) ?? null;
+    return { path, expanded, trace, status: searchStatus(found, budget) };
+  });
+
+const weightedAStar = (startKey, endKey, graphData, options) =>
+  bestFirst(startKey, endKey, graphData, options, 1, heuristicScaleFor(graphData, options.strict));
+
+const dijkstra = (startKey, endKey, graphData, options) =>
+  bestFirst(startKey, endKey, graphData, options, 1, 0);
+
+const greedyBestFirst = (startKey, endKey, graphData, options) =>
+  bestFirst(startKey, endKey, graphData, options, 0, 1);
+
+// Ignores weights: shortest in steps, not in cost.
+const breadthFirst = (startKey, endKey, graphData, options) =>
+  withWorkspace(graphData, (ws) => {
+    const { walls, gridWidth, gridHeight } = graphData;
+    const { neighbors: topologyNeighbors, maxNeighbors } = topologyOf(graphData.topology);
+    const tracer = createTracer(options.trace);
+    const queue = new Int32Array(ws.size);
+    const neighbors = new Int32Array(maxNeighbors);
+    const budget = createBudget(options);
+    const closest = createClosestTracker(endKey, graphData);
+    let head = 0;
+    let tail = 0;
+    let found = false;
+    const frontier = () => Array.from(queue.subarray(head, tail));
+
+    ws.relax(startKey, 0, -1);
+    queue[tail++] = startKey;
+
+    while (head < tail && !budget.spent(head)) {
+      const currentKey = queue[head++];
+      closest.offer(currentKey);
+      tracer?.expand(currentKey, frontier);
+      if (currentKey === endKey) { found = true; break; }
+      const nextG = ws.gCost[currentKey] + 1;
+      const count = topologyNeighbors(currentKey, gridWidth, gridHeight, walls, neighbors);
+      for (let i = 0; i < count; i++) {
+        const nKey = neighbors[i];
+        if (ws.g(nKey) !== Infinity) continue;
+        ws.relax(nKey, nextG, currentKey);
+        queue[tail++] = nKey;
+      }
+    }
+
+    let path = [];
+    if (found) path = ws.pathTo(startKey, endKey);
+    else if (options.allowPartial) path = ws.pathTo(startKey, closest.key);
+    return {
+      path,
+      expanded: head,
+      trace: tracer?.finish(frontier) ?? null,
+      status: searchStatus(found, budget),
+    };
+  });
+
+// Forward search from the start and backward search from the end, each with
+// the weighted-A* heuristic towards the opposite endpoint. Stops once either
+// frontier's best f can no longer beat the best meeting point found.
+const bidirectionalAStar = (startKey, endKey, graphData, options) =>
+  withWorkspace(graphData, (forwardWs) => withWorkspace(graphData, (backwardWs) => {
+    const { walls, gridWidth, gridHeight } = graphData;
+    const { neighbors: topologyNeighbors, maxNeighbors } = topologyOf(graphData.topology);
+    const edgeCost = options.edgeCost ?? edgeCostFor(graphData);
+    const tracer = createTracer(options.trace);
+    const frontier = () => [...new Set([...forwardWs.open.toArray(), ...backwardWs.open.toArray()])];
+    const heuristicScale = heuristicScaleFor(graphData, options.strict);
+    const hForward = distanceTo(endKey, graphData, heuristicScale);
+    const hBackward = distanceTo(startKey, graphData, heuristicScale);
+    const neighbors = new Int32Array(maxNeighbors);
+    const budget = createBudget(options);
+    const closest = createClosestTracker(endKey, graphData);
+
+    forwardWs.relax(startKey, 0, -1);
+    forwardWs.open.push(startKey, hForward(startKey));
+    backwardWs.relax(endKey, 0, -1);
+    backwardWs.open.push(endKey, hBackward(endKey));
+
+    let expanded = 0;
+    let best = Infinity;
+    let meetKey = -1;
+
+    while (!forwardWs.open.isEmpty() && !backwardWs.open.isEmpty()) {
+      if (Math.max(forwardWs.open.peekPriority(), backwardWs.open.peekPriority()) >= best) break;
+      if (budget.spent(expanded)) break;
+
+      const forward = forwardWs.open.size <= backwardWs.open.size;
+      const ws = forward ? forwardWs : backwardWs;
+      const other = forward ? backwardWs : forwardWs;
+      const heuristic = forward ? hForward : hBackward;
+
+      const currentKey = ws.open.pop();
+      ws.close(currentKey);
+      expanded++;
+      if (forward) closest.offer(currentKey);
+      tracer?.expand(currentKey, frontier);
+
+      const currentG = ws.gCost[currentKey];
+      const count = topologyNeighbors(currentKey, gridWidth, gridHeight, walls, neighbors);
+      for (let i = 0; i < count; i++) {
+        const nKey = neighbors[i];
+        if (ws.isClosed(nKey)) continue;
+        // The backward search walks its edges against their direction.
+        const step = forward ? edgeCost(currentKey, nKey) : edgeCost(nKey, currentKey);
+        const tentativeG = currentG + step;
+        if (tentativeG < ws.g(nKey)) {
+          ws.relax(nKey, tentativeG, currentKey);
+          ws.open.push(nKey, tentativeG + heuristic(nKey));
+          const otherG = other.g(nKey);
+          if (tentativeG + otherG < best) {
+            best = tentativeG + otherG;
+            meetKey = nKey;
+          }
+        }
+      }
+    }
+
+    const trace = tracer?.finish(frontier) ?? null;
+    if (meetKey < 0) {
+      const path = options.allowPartial ? forwardWs.pathTo(startKey, closest.key) : [];
+      return { path, expanded, trace, status: searchStatus(false, budget) };
+    }
+
+    const path = forwardWs.pathTo(startKey, meetKey);
+    for (let current = backwardWs.previous[meetKey]; current >= 0; current = backwardWs.previous[current]) {
+      path.push(current);
+    }
+    return { path, expanded, trace, status: SEARCH_STATUS.FOUND };
+  }));
+
+// Jump Point Search for 4-connected grids. Its pruning rules only hold on
+// uniform-cost grids, so like BFS it searches by step count; the reported
+// cost still sums the edge costs along the resulting path.
+const jumpPointSearch = (startKey, endKey, graphData, options) =>
+  withWorkspace(graphData, (ws) => {
+    const { walls, gridWidth, gridHeight } = graphData;
+    const { open, gCost, previous } = ws;
+    const tracer = createTracer(options.trace);
+    const frontier = () => open.toArray();
+    const walkable = (x, y) =>
+      x >= 0 && x < gridWidth && y >= 0 && y < gridHeight && !walls[y * gridWidth + x];
+    const heuristic = distanceTo(endKey, graphData, 1);
+
+    const jump = (x, y, dx, dy) => {
+      while (walkable(x, y)) {
+        const key = y * gridWidth + x;
+        if (key === endKey) return key;
+        if (dx !== 0) {
+          if ((walkable(x, y - 1) && !walkable(x - dx, y - 1)) ||
+              (walkable(x, y + 1) && !walkable(x - dx, y + 1))) return key;
+        } else {
+          if ((walkable(x - 1, y) && !walkable(x - 1, y - dy)) ||
+              (walkable(x + 1, y) && !walkable(x + 1, y - dy))) return key;
+          // Moving vertically, any horizontal jump point makes this one too.
+          if (jump(x + 1, y, 1, 0) >= 0 || jump(x - 1, y, -1, 0) >= 0) return key;
+        }
+        x += dx;
+        y += dy;
+      }
+      return -1;
+    };
+
+    const budget = createBudget(options);
+    const closest = createClosestTracker(endKey, graphData);
+    ws.relax(startKey, 0, -1);
+    open.push(startKey, heuristic(startKey));
+    let expanded = 0;
+    let found = false;
+
+    while (!open.isEmpty()) {
+      if (budget.spent(expanded)) break;
+      const currentKey = open.pop();
+      ws.close(currentKey);
+      expanded++;
+      closest.offer(currentKey);
+      tracer?.expand(currentKey, frontier);
+      if (currentKey === endKey) { found = true; break; }
+
+      const x = currentKey % gridWidth;
+      const y = (currentKey - x) / gridWidth;
+      const parent = previous[currentKey];
+      const directions = [];
+      if (parent < 0) {
+        directions.push([1, 0], [-1, 0], [0, 1], [0, -1]);
+      } else {
+        const px = parent % gridWidth;
+        const py = (parent - px) / gridWidth;
+        const dx = Math.sign(x - px);
+        const dy = Math.sign(y - py);
+        if (dx !== 0) directions.push([0, -1], [0, 1], [dx, 0]);
+        else directions.push([-1, 0], [1, 0], [0, dy]);
+      }
+
+      const currentG = gCost[currentKey];
+      for (const [dx, dy] of directions) {
+        const jumpKey = jump(x + dx, y + dy, dx, dy);
+        if (jumpKey < 0 || ws.isClosed(jumpKey)) continue;
+        const jx = jumpKey % gridWidth;
+        const jy = (jumpKey - jx) / gridWidth;
+        const tentativeG = currentG + Math.abs(jx - x) + Math.abs(jy - y);
+        if (tentativeG < ws.g(jumpKey)) {
+          ws.relax(jumpKey, tentativeG, currentKey);
+          open.push(jumpKey, tentativeG + heuristic(jumpKey));
+        }
+      }
+    }
+
+    const trace = tracer?.finish(frontier) ?? null;
+    const status = searchStatus(found, budget);
+    if (!found && !options.allowPartial) return { path: [], expanded, trace, status };
+
+    // Expand the straight runs between consecutive jump points.
+    const jumpPoints = ws.pathTo(startKey, found ? endKey : closest.key);
+    const path = [startKey];
+    for (let i = 1; i < jumpPoints.length; i++) {
+      const from = jumpPoints[i - 1];
+      const to = jumpPoints[i];
+      const step = Math.abs(to - from) < gridWidth ? Math.sign(to - from) : Math.sign(to - from) * gridWidth;
+      for (let key = from + step; key !== to; key += step) path.push(key);
+      path.push(to);
+    }
+    return { path, expanded, trace, status };
+  });
+
+// `topologies` lists the TOPOLOGIES keys a strategy handles; all when absent.
+export const SEARCH_ALGORITHMS = {
+  astar: { label: 'Weighted A*', search: weightedAStar },
+  dijkstra: { label: 'Dijkstra', search: dijkstra },
+  bfs: { label: 'Breadth-first', search: breadthFirst },
+  greedy: { label: 'Greedy best-first', search: greedyBestFirst },
+  bidirectional: { label: 'Bidirectional A*', search: bidirectionalAStar },
+  jps: { label: 'Jump Point Search', search: jumpPointSearch, topologies: ['square4'] },
+};
+
+export const DEFAULT_ALGORITHM = 'astar';
+
+export const supportsTopology = (algorithm, topology) =>
+  SEARCH_ALGORITHMS[algorithm]?.topologies?.includes(topology) ?? true;
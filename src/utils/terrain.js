@@ -0,0 +1,479 @@
+// Terrain generators. Each one fills a grid's weight field and may mark
+// impassable walls or raise the ground:
+//   generate(gridWidth, gridHeight, seed, detail, time, position) => { weights, walls, heights }
+// weights is a Float32Array of per-cell entry costs (>= MIN_WEIGHT), walls
+// a Uint8Array with 1 for impassable cells, or null when every cell is open,
+// and heights a Float32Array of ground heights in layout units, or absent
+// on flat terrain (see edgeCostFor for what slopes cost).
+// `detail` runs from 1 to 6 and scales how busy the terrain is. Generators
+// flagged `drifts` evolve smoothly with `time` (0 is the static terrain);
+// the others ignore it. `position` is the board topology's cell-centre
+// mapping (see topology.js); noise is sampled there so features keep their
+// shape on every board.
+
+import { createRng } from './random';
+import { DEFAULT_TOPOLOGY, topologyOf } from './topology';
+
+export const MIN_WEIGHT = 0.1;
+
+class PerlinNoise {
+  constructor(seed = 0) {
+    this.seed = seed;
+    this.permutation = this.generatePermutation();
+  }
+
+  generatePermutation() {
+    const p = new Uint8Array(512);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(this.seededRandom() * (i + 1));
+      const tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+    }
+    for (let i = 0; i < 256; i++) p[256 + i] = p[i];
+    return p;
+  }
+
+  seededRandom() {
+    this.seed = (this.seed * 9301 + 49297) % 233280;
+    return this.seed / 233280;
+  }
+
+  fade(t) { return t * t * t * (t * (t * 6 - 15) + 10); }
+  lerp(t, a, b) { return a + t * (b - a); }
+
+  grad(hash, x, y, z = 0) {
+    const h = hash & 15;
+    const u = h < 8 ? x : y;
+    const v = h < 4 ? y : h === 12 || h === 14 ? x : z;
+    return ((h & 1) === 0 ? u : -u) + ((h & 2) === 0 ? v : -v);
+  }
+
+  noise(x, y, z = 0) {
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const Z = Math.floor(z) & 255;
+    x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
+    const u = this.fade(x), v = this.fade(y), w = this.fade(z);
+    const p = this.permutation;
+    const A = p[X] + Y, AA = p[A] + Z, AB = p[A + 1] + Z;
+    const B = p[X + 1] + Y, BA = p[B] + Z, BB = p[B + 1] + Z;
+    return this.lerp(w,
+      this.lerp(v,
+        this.lerp(u, this.grad(p[AA], x, y, z), this.grad(p[BA], x - 1, y, z)),
+        this.lerp(u, this.grad(p[AB], x, y - 1, z), this.grad(p[BB], x - 1, y - 1, z))),
+      this.lerp(v,
+        this.lerp(u, this.grad(p[AA + 1], x, y, z - 1), this.grad(p[BA + 1], x - 1, y, z - 1)),
+        this.lerp(u, this.grad(p[AB + 1], x, y - 1, z - 1), this.grad(p[BB + 1], x - 1, y - 1, z - 1))));
+  }
+
+  fractalNoise(x, y, octaves = 4, persistence = 0.5, scale = 0.1, z = 0) {
+    let value = 0, amplitude = 1, frequency = scale, maxValue = 0;
+    for (let i = 0; i < octaves; i++) {
+      value += this.noise(x * frequency, y * frequency, z) * amplitude;
+      maxValue += amplitude;
+      amplitude *= persistence;
+      frequency *= 2;
+    }
+    return value / maxValue;
+  }
+}
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const GRAD2 = [[1, 1], [-1, 1], [1, -1], [-1, -1], [1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// 2D simplex noise in roughly [-1, 1].
+class SimplexNoise {
+  constructor(seed) {
+    const rng = createRng(seed);
+    const p = new Uint8Array(512);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) {
+      const j = rng.int(i + 1);
+      const tmp = p[i]; p[i] = p[j]; p[j] = tmp;
+    }
+    for (let i = 0; i < 256; i++) p[256 + i] = p[i];
+    this.permutation = p;
+  }
+
+  corner(hash, x, y) {
+    let t = 0.5 - x * x - y * y;
+    if (t < 0) return 0;
+    t *= t;
+    const g = GRAD2[hash & 7];
+    return t * t * (g[0] * x + g[1] * y);
+  }
+
+  noise(x, y) {
+    const s = (x + y) * F2;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const t = (i + j) * G2;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const i1 = x0 > y0 ? 1 : 0;
+    const j1 = 1 - i1;
+    const p = this.permutation;
+    const ii = i & 255;
+    const jj = j & 255;
+    return 70 * (
+      this.corner(p[ii + p[jj]], x0, y0) +
+      this.corner(p[ii + i1 + p[jj + j1]], x0 - i1 + G2, y0 - j1 + G2) +
+      this.corner(p[ii + 1 + p[jj + 1]], x0 - 1 + 2 * G2, y0 - 1 + 2 * G2)
+    );
+  }
+
+  // Ridged multifractal in [0, 1]: sharp crests where the noise crosses zero,
+  // each octave damped by the one before so detail gathers on the ridges.
+  ridged(x, y, octaves, scale) {
+    let value = 0, amplitude = 1, frequency = scale, maxValue = 0, damping = 1;
+    for (let i = 0; i < octaves; i++) {
+      let n = 1 - Math.abs(this.noise(x * frequency, y * frequency));
+      n *= n * damping;
+      damping = Math.min(1, n * 2);
+      value += n * amplitude;
+      maxValue += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+    return value / maxValue;
+  }
+}
+
+// The original terrain: fractal Perlin bands with cheap "roads" traced along
+// the zero crossings of a second noise layer. No walls. `time` moves both
+// layers along the noise's z axis.
+const perlinTerrain = (gridWidth, gridHeight, seed, detail, time, position) => {
+  const weights = new Float32Array(gridWidth * gridHeight);
+  const perlin = new PerlinNoise(seed);
+  const baseScale = detail * 0.05;
+  const roadScale = detail * 0.1;
+
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      const [px, py] = position(x, y);
+      const noiseValue = perlin.fractalNoise(px, py, 4, 0.6, baseScale, time);
+
+      let weight;
+      if (noiseValue < -0.3) {
+        weight = 0.1 + (noiseValue + 0.3) * 0.5;
+      } else if (noiseValue < 0.1) {
+        weight = 0.5 + noiseValue * 2.5;
+      } else if (noiseValue < 0.4) {
+        weight = 2.0 + (noiseValue - 0.1) * 10;
+      } else {
+        weight = 8.0 + (noiseValue - 0.4) * 28.33;
+      }
+
+      const roadNoise = perlin.fractalNoise(px * 0.03, py * 0.03, 2, 0.5, roadScale, time);
+      if (Math.abs(roadNoise) < 0.05) weight = Math.min(weight, 0.3);
+
+      weights[y * gridWidth + x] = Math.max(MIN_WEIGHT, weight);
+    }
+  }
+  return { weights, walls: null };
+};
+
+const RIDGE_WALL_THRESHOLD = 0.66;     // ridged value above which crests are impassable
+
+// Mountain ranges: cost climbs towards the crests, and the highest crests are
+// walls that routes must go around or through a pass.
+const ridgedTerrain = (gridWidth, gridHeight, seed, detail, time, position) => {
+  const size = gridWidth * gridHeight;
+  const weights = new Float32Array(size);
+  const walls = new Uint8Array(size);
+  const simplex = new SimplexNoise(seed);
+  const scale = detail * 0.025;
+
+  for (let key = 0; key < size; key++) {
+    const x = key % gridWidth;
+    const y = (key - x) / gridWidth;
+    const ridge = simplex.ridged(...position(x, y), 4, scale);
+    weights[key] = Math.max(MIN_WEIGHT, 0.15 + ridge * ridge * 16);
+    if (ridge > RIDGE_WALL_THRESHOLD) walls[key] = 1;
+  }
+  return { weights, walls };
+};
+
+const VORONOI_CELL_AREA = 300;         // grid cells per site at detail 1
+const VORONOI_BORDER_WIDTH = 1.6;      // distance band treated as a region border
+const VORONOI_CLOSED_FRACTION = 0.6;   // share of non-essential borders that are walls
+const REGION_WEIGHTS = [0.2, 0.5, 1.2, 3, 7, 14];
+
+// Voronoi regions, each with one terrain cost. Borders between regions are
+// either walls or open boundaries; the open ones always include a spanning
+// tree of the regions, so walls never cut a region off.
+const voronoiTerrain = (gridWidth, gridHeight, seed, detail, time, position) => {
+  const size = gridWidth * gridHeight;
+  const weights = new Float32Array(size);
+  const walls = new Uint8Array(size);
+  const rng = createRng(seed);
+  const siteCount = Math.max(3, Math.round((size * detail) / VORONOI_CELL_AREA));
+  const siteX = new Float32Array(siteCount);
+  const siteY = new Float32Array(siteCount);
+  const siteWeight = new Float32Array(siteCount);
+  for (let s = 0; s < siteCount; s++) {
+    [siteX[s], siteY[s]] = position(rng() * gridWidth, rng() * gridHeight);
+    siteWeight[s] = REGION_WEIGHTS[rng.int(REGION_WEIGHTS.length)];
+  }
+
+  // Nearest site per cell, and for border cells the pair index a * n + b.
+  const borderPair = new Int32Array(size).fill(-1);
+  const pairs = new Set();
+  for (let key = 0; key < size; key++) {
+    const cellX = key % gridWidth;
+    const [x, y] = position(cellX, (key - cellX) / gridWidth);
+    let nearest = -1, second = -1, d1 = Infinity, d2 = Infinity;
+    for (let s = 0; s < siteCount; s++) {
+      const d = Math.hypot(siteX[s] - x, siteY[s] - y);
+      if (d < d1) {
+        d2 = d1; second = nearest;
+        d1 = d; nearest = s;
+      } else if (d < d2) {
+        d2 = d; second = s;
+      }
+    }
+    weights[key] = siteWeight[nearest] * (0.85 + rng() * 0.3);
+    if (second >= 0 && d2 - d1 < VORONOI_BORDER_WIDTH) {
+      const pair = Math.min(nearest, second) * siteCount + Math.max(nearest, second);
+      borderPair[key] = pair;
+      pairs.add(pair);
+    }
+  }
+
+  // Random spanning tree over adjacent regions (Kruskal on shuffled pairs);
+  // tree borders stay open, the rest close with VORONOI_CLOSED_FRACTION.
+  const order = Array.from(pairs).sort((a, b) => a - b);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = rng.int(i + 1);
+    const tmp = order[i]; order[i] = order[j]; order[j] = tmp;
+  }
+  const parent = Int32Array.from({ length: siteCount }, (_, i) => i);
+  const root = (s) => {
+    while (parent[s] !== s) s = parent[s] = parent[parent[s]];
+    return s;
+  };
+  const closed = new Set();
+  for (const pair of order) {
+    const a = root(Math.floor(pair / siteCount));
+    const b = root(pair % siteCount);
+    if (a !== b) parent[a] = b;
+    else if (rng() < VORONOI_CLOSED_FRACTION) closed.add(pair);
+  }
+
+  for (let key = 0; key < size; key++) {
+    if (closed.has(borderPair[key])) walls[key] = 1;
+  }
+  return { weights, walls };
+};
+
+const MAZE_LOOP_CHANCE = 0.03;         // walls knocked through per detail step, making loops
+
+// Recursive-backtracker maze on the odd cells, braided with a few extra
+// openings so there is more than one route. Corridor costs follow a soft
+// Perlin field so weighted and unweighted searches disagree.
+const mazeTerrain = (gridWidth, gridHeight, seed, detail, time, position) => {
+  const size = gridWidth * gridHeight;
+  const weights = new Float32Array(size);
+  const walls = new Uint8Array(size).fill(1);
+  const rng = createRng(seed);
+  const perlin = new PerlinNoise(seed);
+  const cellsX = Math.floor((gridWidth - 1) / 2);
+  const cellsY = Math.floor((gridHeight - 1) / 2);
+
+  for (let key = 0; key < size; key++) {
+    const x = key % gridWidth;
+    const [px, py] = position(x, (key - x) / gridWidth);
+    weights[key] = 0.3 + (perlin.fractalNoise(px, py, 3, 0.5, 0.08) + 1) * 1.2;
+  }
+  if (cellsX < 1 || cellsY < 1) return { weights, walls: null };
+
+  const cellKey = (cx, cy) => (2 * cy + 1) * gridWidth + 2 * cx + 1;
+  const visited = new Uint8Array(cellsX * cellsY);
+  const stack = new Int32Array(cellsX * cellsY);
+  const options = new Int32Array(4);
+  let top = 0;
+  stack[top++] = 0;
+  visited[0] = 1;
+  walls[cellKey(0, 0)] = 0;
+
+  while (top > 0) {
+    const cell = stack[top - 1];
+    const cx = cell % cellsX;
+    const cy = (cell - cx) / cellsX;
+    let n = 0;
+    if (cx > 0 && !visited[cell - 1]) options[n++] = cell - 1;
+    if (cx < cellsX - 1 && !visited[cell + 1]) options[n++] = cell + 1;
+    if (cy > 0 && !visited[cell - cellsX]) options[n++] = cell - cellsX;
+    if (cy < cellsY - 1 && !visited[cell + cellsX]) options[n++] = cell + cellsX;
+    if (n === 0) {
+      top--;
+      continue;
+    }
+    const next = options[rng.int(n)];
+    const nx = next % cellsX;
+    const ny = (next - nx) / cellsX;
+    walls[cellKey(nx, ny)] = 0;
+    walls[(cy + ny + 1) * gridWidth + cx + nx + 1] = 0; // the wall between them
+    visited[next] = 1;
+    stack[top++] = next;
+  }
+
+  // Knock through walls that separate two corridors.
+  const loopChance = MAZE_LOOP_CHANCE * detail;
+  for (let y = 1; y < 2 * cellsY; y++) {
+    for (let x = 1; x < 2 * cellsX; x++) {
+      const key = y * gridWidth + x;
+      if (!walls[key] || (x + y) % 2 === 0) continue;
+      if (rng() < loopChance) walls[key] = 0;
+    }
+  }
+  return { weights, walls };
+};
+
+const CAVE_FILL_MIN = 0.4;             // initial wall density at detail 1
+const CAVE_FILL_STEP = 0.015;          // extra density per detail step
+const CAVE_SMOOTHING_PASSES = 5;
+
+// Cellular-automata caves: random fill smoothed with the 4-5 rule. Floor
+// next to walls is rubble and costs more, so routes keep to open chambers.
+const caveTerrain = (gridWidth, gridHeight, seed, detail) => {
+  const size = gridWidth * gridHeight;
+  const rng = createRng(seed);
+  const fill = CAVE_FILL_MIN + (detail - 1) * CAVE_FILL_STEP;
+  let walls = new Uint8Array(size);
+  let scratch = new Uint8Array(size);
+  for (let key = 0; key < size; key++) walls[key] = rng() < fill ? 1 : 0;
+
+  // Walls among the 8 neighbours, counting off-grid cells as walls.
+  const wallNeighbors = (grid, x, y) => {
+    let count = 0;
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        if (dx === 0 && dy === 0) continue;
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || ny < 0 || nx >= gridWidth || ny >= gridHeight || grid[ny * gridWidth + nx]) count++;
+      }
+    }
+    return count;
+  };
+
+  for (let pass = 0; pass < CAVE_SMOOTHING_PASSES; pass++) {
+    for (let y = 0; y < gridHeight; y++) {
+      for (let x = 0; x < gridWidth; x++) {
+        const key = y * gridWidth + x;
+        const n = wallNeighbors(walls, x, y);
+        scratch[key] = n > 4 || (walls[key] && n === 4) ? 1 : 0;
+      }
+    }
+    [walls, scratch] = [scratch, walls];
+  }
+
+  const weights = new Float32Array(size);
+  for (let y = 0; y < gridHeight; y++) {
+    for (let x = 0; x < gridWidth; x++) {
+      const key = y * gridWidth + x;
+      weights[key] = 0.3 + wallNeighbors(walls, x, y) * 0.9 + rng() * 0.4;
+    }
+  }
+  return { weights, walls };
+};
+
+const ELEVATION_RELIEF = 8;            // layout units from the lowest to the highest ground
+
+// Rolling hills: ground height from fractal Perlin noise, stretched to span
+// ELEVATION_RELIEF, so routes weigh going round a hill against climbing it.
+// Ground cover varies only mildly; most of the cost is in the slopes.
+const elevationTerrain = (gridWidth, gridHeight, seed, detail, time, position) => {
+  const size = gridWidth * gridHeight;
+  const weights = new Float32Array(size);
+  const heights = new Float32Array(size);
+  const perlin = new PerlinNoise(seed);
+  const scale = detail * 0.03;
+  let low = Infinity;
+  let high = -Infinity;
+
+  for (let key = 0; key < size; key++) {
+    const x = key % gridWidth;
+    const [px, py] = position(x, (key - x) / gridWidth);
+    heights[key] = perlin.fractalNoise(px, py, 4, 0.5, scale);
+    const height = heights[key];   // as stored, so the lowest cell lands on exactly 0
+    if (height < low) low = height;
+    if (height > high) high = height;
+    weights[key] = 0.8 + (perlin.fractalNoise(px + 512, py + 512, 2, 0.5, 0.1) + 1) * 0.4;
+  }
+  const stretch = high > low ? ELEVATION_RELIEF / (high - low) : 0;
+  for (let key = 0; key < size; key++) heights[key] = (heights[key] - low) * stretch;
+  return { weights, walls: null, heights };
+};
+
+export const TERRAIN_GENERATORS = {
+  perlin: { label: 'Perlin fields', generate: perlinTerrain, drifts: true },
+  ridged: { label: 'Ridged mountains', generate: ridgedTerrain, drifts: false },
+  voronoi: { label: 'Voronoi regions', generate: voronoiTerrain, drifts: false },
+  maze: { label: 'Maze', generate: mazeTerrain, drifts: false },
+  caves: { label: 'Caves', generate: caveTerrain, drifts: false },
+  elevation: { label: 'Elevation', generate: elevationTerrain, drifts: false },
+};
+
+export const DEFAULT_TERRAIN = 'perlin';
+
+// Labels `key` with region `id` and queues it unless it is a wall or labelled.
+const claim = (key, id, walls, region, queue, tail) => {
+  if (walls[key] || region[key] >= 0) return tail;
+  region[key] = id;
+  queue[tail] = key;
+  return tail + 1;
+};
+
+// Walls off every open pocket except the largest, so any two open cells are
+// connected under `topology`. Returns the number of open cells left.
+export const sealIsolatedRegions = (walls, gridWidth, gridHeight, topology = DEFAULT_TOPOLOGY) => {
+  const size = gridWidth * gridHeight;
+  const { neighbors: topologyNeighbors, maxNeighbors } = topologyOf(topology);
+  const region = new Int32Array(size).fill(-1);
+  const queue = new Int32Array(size);
+  const neighbors = new Int32Array(maxNeighbors);
+  let largest = -1;
+  let largestSize = 0;
+  let regionCount = 0;
+
+  for (let seedKey = 0; seedKey < size; seedKey++) {
+    if (walls[seedKey] || region[seedKey] >= 0) continue;
+    const id = regionCount++;
+    let head = 0;
+    let tail = 0;
+    region[seedKey] = id;
+    queue[tail++] = seedKey;
+    while (head < tail) {
+      const key = queue[head++];
+      const count = topologyNeighbors(key, gridWidth, gridHeight, walls, neighbors);
+      for (let i = 0; i < count; i++) tail = claim(neighbors[i], id, walls, region, queue, tail);
+    }
+    if (tail > largestSize) {
+      largestSize = tail;
+      largest = id;
+    }
+  }
+
+  for (let key = 0; key < size; key++) {
+    if (region[key] >= 0 && region[key] !== largest) walls[key] = 1;
+  }
+  return largestSize;
+};
+
+// Runs a generator for a `topology` board and seals off pockets its walls
+// cut from the main area. Returns { weights, walls, heights }, with heights
+// null on flat terrain.
+export const generateTerrain = (terrain, gridWidth, gridHeight, seed, detail, time = 0, topology = DEFAULT_TOPOLOGY) => {
+  const generator = TERRAIN_GENERATORS[terrain];
+  if (!generator) throw new Error(`Unknown terrain generator: ${terrain}`);
+  const { position } = topologyOf(topology);
+  const { weights, walls, heights = null } = generator.generate(gridWidth, gridHeight, seed, detail, time, position);
+  if (walls && sealIsolatedRegions(walls, gridWidth, gridHeight, topology) === 0) {
+    // Nothing open at all: fall back to an open grid rather than no graph.
+    return { weights, walls: null, heights };
+  }
+  return { weights, walls, heights };
+};
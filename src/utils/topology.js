@@ -0,0 +1,235 @@
+// Grid topologies. Every board stores its cells on a gridWidth x gridHeight
+// lattice with key = y * gridWidth + x; a topology decides which cells are
+// neighbours, how long a step is and where each cell sits on screen.
+//
+//   neighbors(key, gridWidth, gridHeight, walls, out)
+//       writes the neighbours a walker can step to into `out` (at most
+//       maxNeighbors) and returns the count. With walls null, every
+//       neighbour on the board.
+//   canStep(from, to, gridWidth, walls)   whether neighbours from -> to are
+//       passable under `walls`
+//   stepLength(from, to, gridWidth)       length of a step between
+//       neighbours; entering a cell costs its weight times this
+//   distance(a, b, gridWidth)             fewest step lengths from a to b on
+//       an open board, so distance * minWeight never overestimates a cost
+//   position(x, y)                        cell centre in layout units, with
+//       neighbouring centres about one unit apart
+//   extent(gridWidth, gridHeight)         [width, height] spanned by the centres
+//   cellAt(px, py, gridWidth, gridHeight) key of the cell at a layout point, or -1
+//   line(fromKey, toKey, gridWidth)       connected run of cells between two cells
+//
+// Square boards move 4-way, or 8-way with diagonals (octile distance). A
+// diagonal may not cut a corner: both cells beside it must be open. Hex
+// boards are pointy-topped with odd rows shifted half a cell right; their
+// neighbours and distances are worked out in axial coordinates.
+
+const SQRT2 = Math.SQRT2;
+const HEX_ROW = Math.sqrt(3) / 2;      // vertical distance between hex rows
+
+const squarePosition = (x, y) => [x, y];
+const squareExtent = (gridWidth, gridHeight) => [gridWidth - 1, gridHeight - 1];
+
+const squareCellAt = (px, py, gridWidth, gridHeight) => {
+  const x = Math.round(px);
+  const y = Math.round(py);
+  return x < 0 || y < 0 || x >= gridWidth || y >= gridHeight ? -1 : y * gridWidth + x;
+};
+
+// Bresenham, so a fast drag still paints a continuous stroke.
+const squareLine = (fromKey, toKey, gridWidth) => {
+  let x0 = fromKey % gridWidth;
+  let y0 = (fromKey - x0) / gridWidth;
+  const x1 = toKey % gridWidth;
+  const y1 = (toKey - x1) / gridWidth;
+  const dx = Math.abs(x1 - x0);
+  const dy = -Math.abs(y1 - y0);
+  const sx = x0 < x1 ? 1 : -1;
+  const sy = y0 < y1 ? 1 : -1;
+  let error = dx + dy;
+  const cells = [];
+  while (true) {
+    cells.push(y0 * gridWidth + x0);
+    if (x0 === x1 && y0 === y1) return cells;
+    const e2 = 2 * error;
+    if (e2 >= dy) { error += dy; x0 += sx; }
+    if (e2 <= dx) { error += dx; y0 += sy; }
+  }
+};
+
+const orthogonalNeighbors = (key, gridWidth, gridHeight, walls, out) => {
+  const x = key % gridWidth;
+  let n = 0;
+  if (x > 0 && !walls?.[key - 1]) out[n++] = key - 1;
+  if (x < gridWidth - 1 && !walls?.[key + 1]) out[n++] = key + 1;
+  if (key >= gridWidth && !walls?.[key - gridWidth]) out[n++] = key - gridWidth;
+  if (key < (gridHeight - 1) * gridWidth && !walls?.[key + gridWidth]) out[n++] = key + gridWidth;
+  return n;
+};
+
+const manhattan = (a, b, gridWidth) => {
+  const ax = a % gridWidth;
+  const bx = b % gridWidth;
+  return Math.abs(ax - bx) + Math.abs((a - ax) / gridWidth - (b - bx) / gridWidth);
+};
+
+const isDiagonal = (from, to, gridWidth) => {
+  const delta = Math.abs(to - from);
+  return delta !== 1 && delta !== gridWidth;
+};
+
+// A diagonal step needs both orthogonal cells beside it open.
+const canStepDiagonal = (from, to, gridWidth, walls) => {
+  if (walls[to]) return false;
+  if (!isDiagonal(from, to, gridWidth)) return true;
+  const fromX = from % gridWidth;
+  const toX = to % gridWidth;
+  return !walls[from + (toX - fromX)] && !walls[to - (toX - fromX)];
+};
+
+const diagonalNeighbors = (key, gridWidth, gridHeight, walls, out) => {
+  let n = orthogonalNeighbors(key, gridWidth, gridHeight, walls, out);
+  const x = key % gridWidth;
+  const y = (key - x) / gridWidth;
+  for (let dy = -1; dy <= 1; dy += 2) {
+    const ny = y + dy;
+    if (ny < 0 || ny >= gridHeight) continue;
+    for (let dx = -1; dx <= 1; dx += 2) {
+      const nx = x + dx;
+      if (nx < 0 || nx >= gridWidth) continue;
+      const next = ny * gridWidth + nx;
+      if (!walls || canStepDiagonal(key, next, gridWidth, walls)) out[n++] = next;
+    }
+  }
+  return n;
+};
+
+const octile = (a, b, gridWidth) => {
+  const ax = a % gridWidth;
+  const bx = b % gridWidth;
+  const dx = Math.abs(ax - bx);
+  const dy = Math.abs((a - ax) / gridWidth - (b - bx) / gridWidth);
+  return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+};
+
+// Offset (odd rows shifted right) <-> axial coordinates.
+const toAxialQ = (x, y) => x - (y - (y & 1)) / 2;
+const fromAxialQ = (q, r) => q + (r - (r & 1)) / 2;
+const HEX_DIRECTIONS = [[1, 0], [-1, 0], [0, -1], [1, -1], [0, 1], [-1, 1]];
+
+const hexNeighbors = (key, gridWidth, gridHeight, walls, out) => {
+  const x = key % gridWidth;
+  const y = (key - x) / gridWidth;
+  const q = toAxialQ(x, y);
+  let n = 0;
+  for (const [dq, dr] of HEX_DIRECTIONS) {
+    const r = y + dr;
+    if (r < 0 || r >= gridHeight) continue;
+    const nx = fromAxialQ(q + dq, r);
+    if (nx < 0 || nx >= gridWidth) continue;
+    const next = r * gridWidth + nx;
+    if (!walls?.[next]) out[n++] = next;
+  }
+  return n;
+};
+
+const hexDistance = (a, b, gridWidth) => {
+  const ax = a % gridWidth;
+  const ay = (a - ax) / gridWidth;
+  const bx = b % gridWidth;
+  const by = (b - bx) / gridWidth;
+  const dq = toAxialQ(ax, ay) - toAxialQ(bx, by);
+  const dr = ay - by;
+  return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+};
+
+const hexPosition = (x, y) => [x + (y & 1) / 2, y * HEX_ROW];
+
+// Rounds fractional axial coordinates to the nearest hex (via cube coordinates).
+const roundAxial = (q, r) => {
+  const s = -q - r;
+  let rq = Math.round(q);
+  let rr = Math.round(r);
+  const rs = Math.round(s);
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds) rr = -rq - rs;
+  return [rq, rr];
+};
+
+const hexCellAt = (px, py, gridWidth, gridHeight) => {
+  const r = py / HEX_ROW;
+  const [q, rr] = roundAxial(px - r / 2, r);
+  const x = fromAxialQ(q, rr);
+  return x < 0 || rr < 0 || x >= gridWidth || rr >= gridHeight ? -1 : rr * gridWidth + x;
+};
+
+// Hexes along the straight line between the two centres, one per step.
+const hexLine = (fromKey, toKey, gridWidth) => {
+  const steps = hexDistance(fromKey, toKey, gridWidth);
+  const fromX = fromKey % gridWidth;
+  const toX = toKey % gridWidth;
+  const [ax, ay] = hexPosition(fromX, (fromKey - fromX) / gridWidth);
+  const [bx, by] = hexPosition(toX, (toKey - toX) / gridWidth);
+  const cells = [fromKey];
+  for (let i = 1; i <= steps; i++) {
+    // Nudged off exact hex edges so ties round the same way every time,
+    // the other way when that falls off the board's ragged edge.
+    const t = i / steps;
+    const px = ax + (bx - ax) * t;
+    const py = ay + (by - ay) * t;
+    let key = hexCellAt(px + 1e-6, py + 2e-6, gridWidth, Infinity);
+    if (key < 0) key = hexCellAt(px - 1e-6, py - 2e-6, gridWidth, Infinity);
+    if (key >= 0 && key !== cells[cells.length - 1]) cells.push(key);
+  }
+  return cells;
+};
+
+export const TOPOLOGIES = {
+  square4: {
+    label: 'Square',
+    maxNeighbors: 4,
+    neighbors: orthogonalNeighbors,
+    canStep: (from, to, gridWidth, walls) => !walls[to],
+    stepLength: () => 1,
+    distance: manhattan,
+    position: squarePosition,
+    extent: squareExtent,
+    cellAt: squareCellAt,
+    line: squareLine,
+  },
+  square8: {
+    label: 'Square + diagonals',
+    maxNeighbors: 8,
+    neighbors: diagonalNeighbors,
+    canStep: canStepDiagonal,
+    stepLength: (from, to, gridWidth) => (isDiagonal(from, to, gridWidth) ? SQRT2 : 1),
+    distance: octile,
+    position: squarePosition,
+    extent: squareExtent,
+    cellAt: squareCellAt,
+    line: squareLine,
+  },
+  hex: {
+    label: 'Hex',
+    maxNeighbors: 6,
+    neighbors: hexNeighbors,
+    canStep: (from, to, gridWidth, walls) => !walls[to],
+    stepLength: () => 1,
+    distance: hexDistance,
+    position: hexPosition,
+    extent: (gridWidth, gridHeight) => [gridWidth - (gridHeight > 1 ? 0.5 : 1), (gridHeight - 1) * HEX_ROW],
+    cellAt: hexCellAt,
+    line: hexLine,
+  },
+};
+
+export const DEFAULT_TOPOLOGY = 'square4';
+
+// Looks up a TOPOLOGIES entry by key; throws on unknown keys.
+export const topologyOf = (key = DEFAULT_TOPOLOGY) => {
+  const topology = TOPOLOGIES[key];
+  if (!topology) throw new Error(`Unknown grid topology: ${key}`);
+  return topology;
+};
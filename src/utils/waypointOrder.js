@@ -0,0 +1,132 @@
+// Visiting order for a route's waypoints, solved as a small travelling-
+// salesman problem with a fixed start and end. Costs between stops are true
+// shortest-path costs (one costField flood per stop), so they are directed:
+// entering a cell costs its weight, and a -> b differs from b -> a.
+
+import { costField } from './searchAlgorithms';
+import { coordToKey } from './dijkstra';
+
+const EXACT_WAYPOINT_LIMIT = 12;       // Held-Karp is O(2^n * n^2)
+const MAX_TWO_OPT_PASSES = 50;
+const IMPROVEMENT_EPSILON = 1e-9;
+
+// cost[i][j] from stop i to stop j; stops are [start, ...waypoints, end].
+const stopCostMatrix = (stops, graph) => {
+  const keys = stops.map((p) => coordToKey(p.x, p.y, graph.gridWidth));
+  return keys.map((key) => {
+    const field = costField(key, graph);
+    return keys.map((other) => field[other]);
+  });
+};
+
+// Cost of start -> waypoints in `order` -> end. Waypoint i is stop i + 1.
+const tourCost = (cost, order) => {
+  let total = 0;
+  let previous = 0;
+  for (const waypoint of order) {
+    total += cost[previous][waypoint + 1];
+    previous = waypoint + 1;
+  }
+  return total + cost[previous][order.length + 1];
+};
+
+// Exact dynamic programme over subsets: best[mask][last] is the cheapest
+// route from the start through the waypoints in `mask`, ending at `last`.
+const heldKarp = (cost, n) => {
+  const end = n + 1;
+  const full = (1 << n) - 1;
+  const best = new Float64Array((full + 1) * n).fill(Infinity);
+  const parent = new Int32Array((full + 1) * n).fill(-1);
+  for (let i = 0; i < n; i++) best[(1 << i) * n + i] = cost[0][i + 1];
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let last = 0; last < n; last++) {
+      const here = best[mask * n + last];
+      if (!(mask & (1 << last)) || here === Infinity) continue;
+      for (let next = 0; next < n; next++) {
+        if (mask & (1 << next)) continue;
+        const nextMask = mask | (1 << next);
+        const candidate = here + cost[last + 1][next + 1];
+        if (candidate < best[nextMask * n + next]) {
+          best[nextMask * n + next] = candidate;
+          parent[nextMask * n + next] = last;
+        }
+      }
+    }
+  }
+
+  let bestLast = -1;
+  let bestCost = Infinity;
+  for (let last = 0; last < n; last++) {
+    const candidate = best[full * n + last] + cost[last + 1][end];
+    if (candidate < bestCost) {
+      bestCost = candidate;
+      bestLast = last;
+    }
+  }
+  if (bestLast < 0) return null;
+
+  const order = [];
+  for (let mask = full, last = bestLast; last >= 0;) {
+    order.push(last);
+    const previous = parent[mask * n + last];
+    mask &= ~(1 << last);
+    last = previous;
+  }
+  return order.reverse();
+};
+
+// Greedy tour: always head for the cheapest waypoint not yet visited.
+const nearestNeighbour = (cost, n) => {
+  const visited = new Uint8Array(n);
+  const order = [];
+  let current = 0;
+  for (let step = 0; step < n; step++) {
+    let next = -1;
+    for (let i = 0; i < n; i++) {
+      if (!visited[i] && (next < 0 || cost[current][i + 1] < cost[current][next + 1])) next = i;
+    }
+    visited[next] = 1;
+    order.push(next);
+    current = next + 1;
+  }
+  return order;
+};
+
+// Reverses stretches of the tour while that makes it cheaper. Costs are
+// directed, so every candidate is re-costed in full.
+const twoOpt = (cost, order) => {
+  let bestCost = tourCost(cost, order);
+  for (let pass = 0; pass < MAX_TWO_OPT_PASSES; pass++) {
+    let improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const candidateCost = tourCost(cost, candidate);
+        if (candidateCost < bestCost - IMPROVEMENT_EPSILON) {
+          order = candidate;
+          bestCost = candidateCost;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  return order;
+};
+
+// Returns { order, cost, exact }: order lists indices into `waypoints` in
+// visiting order, cost is the shortest-path cost of the whole route (Infinity
+// if some stop can't be reached) and exact says whether the order is proven
+// optimal (Held-Karp, up to EXACT_WAYPOINT_LIMIT waypoints) or heuristic
+// (nearest-neighbour improved by 2-opt).
+export const orderWaypoints = (start, waypoints, end, graph) => {
+  const n = waypoints.length;
+  const cost = stopCostMatrix([start, ...waypoints, end], graph);
+  const identity = waypoints.map((_, i) => i);
+  if (n < 2) return { order: identity, cost: tourCost(cost, identity), exact: true };
+
+  const exact = n <= EXACT_WAYPOINT_LIMIT;
+  const order = (exact ? heldKarp(cost, n) : twoOpt(cost, nearestNeighbour(cost, n))) ?? identity;
+  return { order, cost: tourCost(cost, order), exact };
+};
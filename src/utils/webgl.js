@@ -0,0 +1,14 @@
+// Whether this browser can create a WebGL context at all. The probe context
+// is released straight away so it doesn't count against the page's limit.
+export const webglAvailable = () => {
+  if (typeof document === 'undefined') return false;
+  try {
+    const canvas = document.createElement('canvas');
+    const gl = canvas.getContext('webgl2') ?? canvas.getContext('webgl');
+    if (!gl) return false;
+    gl.getExtension('WEBGL_lose_context')?.loseContext();
+    return true;
+  } catch {
+    return false;
+  }
+};
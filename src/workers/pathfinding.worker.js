@@ -0,0 +1,27 @@
+// Runs graph generation, route solving, terrain drift and cost overlays off
+// the main thread. Requests are { id, type, params }; replies are { id, result } with
+// the result's typed arrays transferred, or { id, error }.
+
+import { planCycle, serializeCycle, driftWeights } from '../utils/cyclePlanner';
+import { costOverlayRequest } from '../utils/costOverlay';
+
+const handlers = {
+  planCycle: (params) => serializeCycle(planCycle(params)),
+  driftWeights,
+  costOverlay: costOverlayRequest,
+};
+
+self.onmessage = ({ data }) => {
+  const { id, type, params } = data;
+  const handler = handlers[type];
+  if (!handler) {
+    self.postMessage({ id, error: `Unknown request type: ${type}` });
+    return;
+  }
+  try {
+    const { message, transfer } = handler(params);
+    self.postMessage({ id, result: message }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message ?? String(err) });
+  }
+};